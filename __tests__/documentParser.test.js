@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const documentParser = require('../utils/documentParser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+// Parse a fixture the way uploads are parsed: MIME type guessed from the file name
+const extract = (name) => documentParser.extractTextFromFile(fixture(name), name, documentParser.guessMimeType(name));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('guessMimeType', () => {
+  test.each([
+    ['notes.md', 'text/markdown'],
+    ['page.htm', 'text/html'],
+    ['table.csv', 'text/csv'],
+    ['letter.rtf', 'application/rtf'],
+    ['book.epub', 'application/epub+zip'],
+    ['data.json', 'application/json']
+  ])('%s is %s', (name, mimeType) => {
+    expect(documentParser.guessMimeType(name)).toBe(mimeType);
+  });
+});
+
+test('Markdown keeps the heading outline and drops inline markup', async () => {
+  const result = await extract('sample.md');
+
+  expect(result).toMatchObject({ success: true, type: 'markdown', extracted: true });
+  expect(result.text).toBe([
+    '# Project Plan',
+    '',
+    '## Goals & scope',
+    '- Ship v2 with docs and api_key handling',
+    '- snake_case_name stays',
+    'quoted text',
+    '',
+    'const a = 1;',
+    '',
+    '### Done'
+  ].join('\n'));
+  expect(result.metadata.info.headings).toEqual([
+    { level: 1, text: 'Project Plan' },
+    { level: 2, text: 'Goals & scope' },
+    { level: 3, text: 'Done' }
+  ]);
+});
+
+test('HTML reads the title and visible text, without scripts, styles or comments', async () => {
+  const result = await extract('sample.html');
+
+  expect(result).toMatchObject({ success: true, type: 'html', extracted: true });
+  expect(result.metadata.info.title).toBe('Quarterly & Report');
+  expect(result.text).toBe('Quarterly & Report\n\nResults\nRevenue grew 12%.\nA B\nOne\nTwo');
+  expect(result.text).not.toMatch(/alert|p\{\}|hidden/);
+});
+
+test('CSV reports the header, row count and sample rows', async () => {
+  const result = await extract('sample.csv');
+
+  expect(result).toMatchObject({ success: true, type: 'csv', extracted: true });
+  expect(result.metadata.info).toEqual({
+    columns: ['name', 'email', 'note'],
+    rows: 2,
+    sampleRows: 2,
+    delimiter: ';'
+  });
+  // Quoted delimiters, doubled quotes and line breaks stay inside their field
+  expect(result.text).toBe([
+    'Columns (3): name | email | note',
+    'Rows: 2',
+    'Bob | b@x.com | says "hi"; ok',
+    'Ann | a@x.com | multi line'
+  ].join('\n'));
+});
+
+test('RTF keeps the text and drops control words and font/colour tables', async () => {
+  const result = await extract('sample.rtf');
+
+  expect(result).toMatchObject({ success: true, type: 'rtf', extracted: true });
+  expect(result.text).toBe('Hello bold café\nSecond € euro {x}');
+
+  const notRtf = await documentParser.extractFromRtf(Buffer.from('plain text'));
+  expect(notRtf).toMatchObject({ success: false, extracted: false, error: 'Not an RTF document' });
+});
+
+test('EPUB reads chapters in spine order and skips empty pages', async () => {
+  const result = await extract('sample.epub');
+
+  expect(result).toMatchObject({ success: true, type: 'epub', extracted: true });
+  expect(result.text).toBe([
+    'Chapter 1: The Arrival',
+    'The ferry docked at dawn.',
+    '',
+    'Chapter 2: The Storm',
+    'Waves broke over the pier.'
+  ].join('\n'));
+  expect(result.metadata).toEqual({
+    numpages: 2,
+    info: { title: 'Harbour Stories', author: 'Jo Smith', chapters: 2, truncated: false }
+  });
+});
+
+test('JSON is pretty-printed, and invalid JSON is reported', async () => {
+  const result = await extract('sample.json');
+
+  expect(result).toMatchObject({ success: true, type: 'json', extracted: true });
+  expect(result.text).toBe(JSON.stringify({ a: [1, 2], b: { c: 'd' } }, null, 2));
+  expect(result.metadata.info).toEqual({ rootType: 'object', entries: 2 });
+
+  const invalid = await documentParser.extractFromJson(Buffer.from('{"a": '));
+  expect(invalid).toMatchObject({ success: false, extracted: false });
+  expect(invalid.error).toMatch(/^Invalid JSON/);
+});
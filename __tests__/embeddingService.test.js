@@ -0,0 +1,141 @@
+// Embedding calls are quota-checked and metered like the other AI calls
+jest.mock('../services/usageService', () => ({
+  assertQuota: jest.fn().mockResolvedValue(undefined),
+  record: jest.fn()
+}));
+
+process.env.EMBEDDING_PROVIDER = 'local';
+const usageService = require('../services/usageService');
+const embeddingService = require('../services/embeddingService');
+
+const USER = '64f0c2a1b2c3d4e5f6a7b8c9';
+
+const record = () => ({ _id: 'r1', user: USER, title: 'Lisbon hotel booking', tags: ['travel'] });
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  usageService.assertQuota.mockClear();
+  usageService.record.mockClear();
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('embedRecord', () => {
+  test('checks the quota and meters against the record owner', async () => {
+    const target = record();
+    expect(await embeddingService.embedRecord(target)).toBe(true);
+
+    expect(usageService.assertQuota).toHaveBeenCalledWith(USER);
+    expect(usageService.record).toHaveBeenCalledWith(USER, expect.objectContaining({
+      purpose: 'embedRecord',
+      inputChars: 'Lisbon hotel booking\ntravel'.length,
+      failed: false
+    }));
+    expect(target.embedding.vector).toHaveLength(256);
+  });
+
+  test('meters a failed call and rethrows', async () => {
+    const embed = jest.spyOn(embeddingService.provider, 'embed').mockRejectedValueOnce(new Error('timeout'));
+    await expect(embeddingService.embedRecord(record())).rejects.toThrow('timeout');
+
+    expect(usageService.record).toHaveBeenCalledWith(USER, expect.objectContaining({ failed: true }));
+    embed.mockRestore();
+  });
+
+  test('does not call the provider once the quota is used up', async () => {
+    const quotaError = Object.assign(new Error('Daily AI usage limit reached.'), { code: 'QUOTA_EXCEEDED' });
+    usageService.assertQuota.mockRejectedValueOnce(quotaError);
+    const embed = jest.spyOn(embeddingService.provider, 'embed');
+
+    await expect(embeddingService.embedRecord(record())).rejects.toThrow(quotaError);
+    expect(embed).not.toHaveBeenCalled();
+    expect(usageService.record).not.toHaveBeenCalled();
+    embed.mockRestore();
+  });
+});
+
+describe('backfill', () => {
+  const Record = require('../models/Record');
+
+  const stored = (id, fields) => ({ _id: id, user: USER, save: jest.fn().mockResolvedValue(undefined), ...fields });
+  const findReturning = (records) => jest.spyOn(Record, 'find').mockReturnValue({
+    sort: () => ({ limit: async () => records })
+  });
+
+  let updateOne;
+  beforeEach(() => {
+    updateOne = jest.spyOn(Record, 'updateOne').mockResolvedValue({});
+  });
+  afterEach(() => {
+    Record.find.mockRestore();
+    updateOne.mockRestore();
+  });
+
+  test('marks records with no text as skipped so they are not picked again', async () => {
+    findReturning([stored('empty', {}), stored('note', { title: 'Shopping list' })]);
+
+    expect(await embeddingService.backfill(USER)).toBe(1);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne).toHaveBeenCalledWith({ _id: 'empty' }, {
+      $set: { embedding: expect.objectContaining({ status: 'skipped', model: embeddingService.provider.model }) }
+    });
+  });
+
+  test('counts failures and gives up on a record after the last attempt', async () => {
+    findReturning([
+      stored('first', { title: 'First try' }),
+      stored('last', { title: 'Last try', embedding: { attempts: 2 } })
+    ]);
+    const embed = jest.spyOn(embeddingService.provider, 'embed').mockRejectedValue(new Error('unavailable'));
+
+    await embeddingService.backfill(USER);
+    expect(updateOne).toHaveBeenCalledWith({ _id: 'first' }, {
+      $set: { 'embedding.attempts': 1, 'embedding.error': 'unavailable' }
+    });
+    expect(updateOne).toHaveBeenCalledWith({ _id: 'last' }, {
+      $set: { embedding: expect.objectContaining({ status: 'failed', attempts: 3, error: 'unavailable' }) }
+    });
+    embed.mockRestore();
+  });
+
+  test('runs once per user at a time', async () => {
+    findReturning([stored('note', { title: 'Shopping list' })]);
+
+    const [first, second] = await Promise.all([embeddingService.backfill(USER), embeddingService.backfill(USER)]);
+    expect([first, second]).toEqual([1, 0]);
+    expect(Record.find).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('resilience', () => {
+  const geminiService = require('../services/geminiService');
+
+  test('retries a retryable failure like the other AI calls', async () => {
+    const delay = jest.spyOn(geminiService, 'retryDelay').mockReturnValue(0);
+    const unavailable = Object.assign(new Error('Service unavailable'), { status: 503 });
+    const embed = jest.spyOn(embeddingService.provider, 'embed').mockRejectedValueOnce(unavailable);
+
+    expect(await embeddingService.embedRecord(record())).toBe(true);
+    expect(embed).toHaveBeenCalledTimes(2);
+    expect(usageService.record).toHaveBeenCalledWith(USER, expect.objectContaining({ failed: true }));
+    expect(usageService.record).toHaveBeenCalledWith(USER, expect.objectContaining({ failed: false }));
+
+    embed.mockRestore();
+    delay.mockRestore();
+  });
+
+  test('skips the provider while the circuit is open', async () => {
+    const open = jest.spyOn(geminiService.breaker, 'canRequest').mockReturnValue(false);
+    const embed = jest.spyOn(embeddingService.provider, 'embed');
+
+    await expect(embeddingService.embedQuery('lisbon', USER)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(embed).not.toHaveBeenCalled();
+
+    embed.mockRestore();
+    open.mockRestore();
+  });
+});
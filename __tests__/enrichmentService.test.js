@@ -0,0 +1,139 @@
+// enrichRecord when the user edits a record while it is being analysed
+jest.mock('../services/usageService', () => ({
+  assertQuota: jest.fn().mockResolvedValue(undefined),
+  record: jest.fn()
+}));
+jest.mock('../models/Record', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({}),
+  exists: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Record = require('../models/Record');
+const embeddingService = require('../services/embeddingService');
+const documentPageService = require('../services/documentPageService');
+const enrichmentService = require('../services/enrichmentService');
+
+const JOB_ID = new mongoose.Types.ObjectId();
+
+const stored = (fields = {}) => ({
+  _id: 'r1',
+  user: '64f0c2a1b2c3d4e5f6a7b8c9',
+  type: 'note',
+  title: 'Note',
+  content: 'Flight to Lisbon on Friday',
+  enrichment: { status: 'pending', jobId: JOB_ID, attempts: 0 },
+  setSummaryChunks: jest.fn(),
+  save: jest.fn().mockResolvedValue(undefined),
+  ...fields
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(enrichmentService, 'analyze').mockResolvedValue({
+    summary: 'Flight booking to Lisbon for Friday',
+    source: 'gemini',
+    title: 'Lisbon flight',
+    analyzed: true
+  });
+  jest.spyOn(embeddingService, 'embedRecord').mockResolvedValue(true);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(enrichmentService, 'requeue').mockResolvedValue(undefined);
+  jest.spyOn(documentPageService, 'replacePages').mockResolvedValue(1);
+  jest.spyOn(documentPageService, 'deleteForRecord').mockResolvedValue({});
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('enrichRecord', () => {
+  test('saves the summary when nothing changed meanwhile', async () => {
+    const latest = stored();
+    Record.findById.mockResolvedValueOnce(stored()).mockResolvedValueOnce(latest);
+
+    await enrichmentService.enrichRecord('r1', { jobId: JOB_ID });
+
+    expect(latest.geminiSummary).toBe('Flight booking to Lisbon for Friday');
+    expect(latest.title).toBe('Lisbon flight');
+    expect(latest.enrichment.status).toBe('completed');
+    expect(latest.save).toHaveBeenCalled();
+    expect(enrichmentService.requeue).not.toHaveBeenCalled();
+  });
+
+  test('requeues instead of saving a summary of content the user replaced', async () => {
+    const latest = stored({ content: 'Flight to Porto on Saturday' });
+    Record.findById.mockResolvedValueOnce(stored()).mockResolvedValueOnce(latest);
+
+    await enrichmentService.enrichRecord('r1', { retitle: false, jobId: JOB_ID });
+
+    expect(latest.save).not.toHaveBeenCalled();
+    expect(latest.geminiSummary).toBeUndefined();
+    expect(enrichmentService.requeue).toHaveBeenCalledWith(latest, { retitle: false });
+  });
+
+  test('leaves changed content to the newer job when one is already queued', async () => {
+    const newerJob = new mongoose.Types.ObjectId();
+    const latest = stored({
+      content: 'Flight to Porto on Saturday',
+      enrichment: { status: 'pending', jobId: newerJob, attempts: 0 }
+    });
+    Record.findById.mockResolvedValueOnce(stored()).mockResolvedValueOnce(latest);
+
+    await enrichmentService.enrichRecord('r1', { jobId: JOB_ID });
+
+    expect(latest.save).not.toHaveBeenCalled();
+    expect(enrichmentService.requeue).not.toHaveBeenCalled();
+  });
+
+  test('skips a record deleted during analysis', async () => {
+    Record.findById.mockResolvedValueOnce(stored()).mockResolvedValueOnce(null);
+    await expect(enrichmentService.enrichRecord('r1', { jobId: JOB_ID })).resolves.toBeUndefined();
+    expect(enrichmentService.requeue).not.toHaveBeenCalled();
+  });
+
+  describe('page index', () => {
+    const pages = [{ number: 1, text: 'Lisbon' }];
+
+    beforeEach(() => {
+      enrichmentService.analyze.mockResolvedValueOnce({
+        summary: 'Flight booking to Lisbon for Friday',
+        source: 'gemini',
+        analyzed: true,
+        document: { text: 'Lisbon', meta: { pageCount: 1 }, pages }
+      });
+    });
+
+    test('is written after the record is saved', async () => {
+      const latest = stored();
+      Record.findById.mockResolvedValueOnce(stored()).mockResolvedValueOnce(latest);
+      Record.exists.mockResolvedValueOnce({ _id: 'r1' });
+
+      await enrichmentService.enrichRecord('r1', { jobId: JOB_ID });
+
+      expect(documentPageService.replacePages).toHaveBeenCalledWith(latest, pages);
+      expect(latest.save.mock.invocationCallOrder[0])
+        .toBeLessThan(documentPageService.replacePages.mock.invocationCallOrder[0]);
+      expect(documentPageService.deleteForRecord).not.toHaveBeenCalled();
+    });
+
+    test('is not written when the save fails', async () => {
+      const latest = stored({ save: jest.fn().mockRejectedValue(new Error('No document found')) });
+      Record.findById.mockResolvedValueOnce(stored()).mockResolvedValueOnce(latest);
+
+      await expect(enrichmentService.enrichRecord('r1', { jobId: JOB_ID })).rejects.toThrow('No document found');
+      expect(documentPageService.replacePages).not.toHaveBeenCalled();
+    });
+
+    test('is removed again when the record was deleted while indexing', async () => {
+      Record.findById.mockResolvedValueOnce(stored()).mockResolvedValueOnce(stored());
+      Record.exists.mockResolvedValueOnce(null);
+
+      await enrichmentService.enrichRecord('r1', { jobId: JOB_ID });
+
+      expect(documentPageService.deleteForRecord).toHaveBeenCalledWith('r1');
+    });
+  });
+});
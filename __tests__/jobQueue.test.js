@@ -0,0 +1,167 @@
+// Job queue state machine with the Job model mocked out
+jest.mock('../models/Job', () => {
+  const Job = jest.fn();
+  Job.findOneAndUpdate = jest.fn();
+  Job.updateOne = jest.fn().mockResolvedValue({});
+  return Job;
+});
+
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const { JOB_DEFAULTS } = require('../utils/constants');
+
+const job = (fields = {}) => ({
+  _id: 'job1',
+  type: 'test-job',
+  payload: { n: 1 },
+  status: 'running',
+  attempts: 1,
+  maxAttempts: 3,
+  lockedBy: 'worker',
+  save: jest.fn().mockResolvedValue(undefined),
+  ...fields
+});
+
+// Claims hand out `jobs` in order; failAbandoned (the $expr >= query) gets `abandoned`
+const serveJobs = (jobs, abandoned = []) => {
+  Job.findOneAndUpdate.mockImplementation(async (query) => {
+    const isAbandonedQuery = query.$expr && query.$expr.$gte;
+    return (isAbandonedQuery ? abandoned : jobs).shift() || null;
+  });
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jobQueue.handlers = {};
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('stop', () => {
+  const startWith = async (handler) => {
+    jobQueue.registerHandler('test-job', handler);
+    serveJobs([job()]);
+    jobQueue.start({ concurrency: 1, pollIntervalMs: 60000 });
+    await new Promise(r => setTimeout(r, 10)); // Let the worker claim the job
+  };
+
+  test('waits for a running job before resolving', async () => {
+    const handlerDone = deferred();
+    await startWith(() => handlerDone.promise);
+
+    let stopped = false;
+    const stopping = jobQueue.stop(1000).then(result => { stopped = result; });
+    await new Promise(r => setTimeout(r, 10));
+    expect(stopped).toBe(false);
+
+    handlerDone.resolve();
+    await stopping;
+    expect(stopped).toBe(true);
+  });
+
+  test('gives up at the deadline', async () => {
+    await startWith(() => new Promise(() => {}));
+    expect(await jobQueue.stop(20)).toBe(false);
+  });
+});
+
+describe('claimNext', () => {
+  test('fails jobs abandoned on their last attempt before claiming', async () => {
+    const onFailed = jest.fn();
+    jobQueue.registerHandler('test-job', jest.fn(), { onFailed });
+    const abandoned = job({ _id: 'dead', attempts: 3, status: 'failed', lastError: 'Worker stopped responding on the last attempt' });
+    serveJobs([job()], [abandoned]);
+
+    const claimed = await jobQueue.claimNext('worker');
+
+    expect(onFailed).toHaveBeenCalledTimes(1);
+    expect(onFailed).toHaveBeenCalledWith(abandoned.payload, abandoned, expect.objectContaining({ message: abandoned.lastError }));
+    expect(claimed._id).toBe('job1');
+
+    const [failQuery, failUpdate] = Job.findOneAndUpdate.mock.calls[0];
+    expect(failQuery).toMatchObject({ status: 'running', $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    expect(failUpdate.$set.status).toBe('failed');
+  });
+
+  test('only reclaims a stale job while it has attempts left', async () => {
+    jobQueue.registerHandler('test-job', jest.fn());
+    serveJobs([]);
+
+    await jobQueue.claimNext('worker');
+
+    const [claimQuery, claimUpdate] = Job.findOneAndUpdate.mock.calls[1];
+    const staleBranch = claimQuery.$or.find(branch => branch.status === 'running');
+    expect(staleBranch.$expr).toEqual({ $lt: ['$attempts', '$maxAttempts'] });
+    expect(claimUpdate.$inc).toEqual({ attempts: 1 });
+  });
+});
+
+describe('runJob', () => {
+  const run = async (handlerError, fields) => {
+    const onFailed = jest.fn();
+    const handler = handlerError ? jest.fn().mockRejectedValue(handlerError) : jest.fn().mockResolvedValue();
+    jobQueue.registerHandler('test-job', handler, { onFailed });
+    const target = job(fields);
+    await jobQueue.runJob(target);
+    return { target, onFailed };
+  };
+
+  test('completes a job whose handler succeeds', async () => {
+    const { target, onFailed } = await run(null);
+    expect(target.status).toBe('completed');
+    expect(target.completedAt).toBeInstanceOf(Date);
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  test('requeues a failure with backoff while attempts are left', async () => {
+    const { target, onFailed } = await run(new Error('flaky'), { attempts: 1 });
+    expect(target.status).toBe('queued');
+    expect(target.runAt.getTime()).toBeGreaterThan(Date.now());
+    expect(target.lastError).toBe('flaky');
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  test('fails a job on its last attempt', async () => {
+    const { target, onFailed } = await run(new Error('still flaky'), { attempts: 3 });
+    expect(target.status).toBe('failed');
+    expect(onFailed).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails a permanent error on the first attempt', async () => {
+    const permanent = Object.assign(new Error('file too large'), { permanent: true });
+    const { target, onFailed } = await run(permanent, { attempts: 1 });
+    expect(target.status).toBe('failed');
+    expect(onFailed).toHaveBeenCalledWith(target.payload, target, permanent);
+  });
+
+  test('refreshes the lock while the handler runs', async () => {
+    jest.useFakeTimers();
+    const handlerDone = deferred();
+    jobQueue.registerHandler('test-job', () => handlerDone.promise);
+    const running = jobQueue.runJob(job());
+
+    jest.advanceTimersByTime(JOB_DEFAULTS.HEARTBEAT_INTERVAL_MS * 2);
+    expect(Job.updateOne).toHaveBeenCalledTimes(2);
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: 'job1', status: 'running', lockedBy: 'worker' },
+      { $set: { lockedAt: expect.any(Date) } }
+    );
+
+    handlerDone.resolve();
+    await running;
+    jest.advanceTimersByTime(JOB_DEFAULTS.HEARTBEAT_INTERVAL_MS * 2);
+    expect(Job.updateOne).toHaveBeenCalledTimes(2);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,50 @@
+// Follow-up interpretation must not hold a search up when Gemini is slow
+jest.mock('../services/geminiService', () => ({ interpretFollowUp: jest.fn() }));
+
+const geminiService = require('../services/geminiService');
+const searchSessionService = require('../services/searchSessionService');
+const { SEARCH_DEFAULTS } = require('../utils/constants');
+
+const session = {
+  user: '64f0c2a1b2c3d4e5f6a7b8c9',
+  turns: [{ query: 'invoices', interpretedQuery: 'invoices', resultIds: ['r1', 'r2'] }]
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(searchSessionService, 'buildHistory').mockResolvedValue([]);
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('interpretQuery', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('falls back to the heuristic when Gemini misses the search deadline', async () => {
+    jest.useFakeTimers();
+    geminiService.interpretFollowUp.mockReturnValueOnce(new Promise(() => {}));
+
+    const pending = searchSessionService.interpretQuery(session, 'only from March');
+    await jest.advanceTimersByTimeAsync(SEARCH_DEFAULTS.GEMINI_TIMEOUT_MS);
+
+    expect(await pending).toEqual({
+      interpretedQuery: 'invoices only from March',
+      scope: 'previous_results',
+      restrictToIds: ['r1', 'r2']
+    });
+  });
+
+  test('falls back to the heuristic when Gemini throws', async () => {
+    geminiService.interpretFollowUp.mockRejectedValueOnce(new Error('unavailable'));
+
+    const result = await searchSessionService.interpretQuery(session, 'without receipts');
+    expect(result).toEqual({ interpretedQuery: 'invoices without receipts', scope: 'all', restrictToIds: null });
+  });
+
+  test('uses the Gemini interpretation when it arrives in time', async () => {
+    geminiService.interpretFollowUp.mockResolvedValueOnce({ query: 'invoices from march', scope: 'all' });
+
+    const result = await searchSessionService.interpretQuery(session, 'from march');
+    expect(result).toEqual({ interpretedQuery: 'invoices from march', scope: 'all', restrictToIds: null });
+  });
+});
@@ -0,0 +1,49 @@
+// The query-language path must still narrow candidates by its free-text terms
+jest.mock('../services/usageService', () => ({
+  assertQuota: jest.fn().mockResolvedValue(undefined),
+  record: jest.fn()
+}));
+
+process.env.AI_PROVIDER = 'local';
+const universalSearchService = require('../services/universalSearchService');
+
+const USER = '64f0c2a1b2c3d4e5f6a7b8c9';
+const TEXT_FIELDS = ['title', 'geminiSummary', 'content', 'tags', 'extractedText'];
+
+const textCondition = (value) => ({ $or: TEXT_FIELDS.map(field => ({ [field]: new RegExp(value, 'i') })) });
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('processSyntaxQuery', () => {
+  test('matches free-text terms across the text fields', async () => {
+    const { mongoQuery, searchPatterns } = await universalSearchService.processSyntaxQuery('tag:travel lisbon', { userId: USER });
+
+    expect(mongoQuery).toEqual({
+      user: USER,
+      $and: [{ tags: /^travel$/i }, textCondition('lisbon')]
+    });
+    expect(searchPatterns.length).toBeGreaterThan(0);
+  });
+
+  test('keeps terms inside their OR branch', async () => {
+    const { mongoQuery } = await universalSearchService.processSyntaxQuery('tag:travel OR report', { userId: USER });
+
+    expect(mongoQuery).toEqual({
+      user: USER,
+      $or: [{ tags: /^travel$/i }, textCondition('report')]
+    });
+  });
+
+  test('excludes negated terms and matches phrases whole', async () => {
+    const { mongoQuery } = await universalSearchService.processSyntaxQuery('-draft "quarterly report"', { userId: USER });
+
+    expect(mongoQuery).toEqual({
+      user: USER,
+      $and: [{ $nor: [textCondition('draft')] }, textCondition('quarterly report')]
+    });
+  });
+});
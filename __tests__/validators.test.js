@@ -0,0 +1,28 @@
+// Reanalyze flags arrive as strings from form posts and must reach the controller as booleans
+const { validationResult } = require('express-validator');
+const { recordValidators } = require('../utils/validators');
+
+const run = async (chains, body) => {
+  const req = { body, params: { id: '64f0c2a1b2c3d4e5f6a7b8c9' }, query: {} };
+  for (const chain of chains) await chain.run(req);
+  return req;
+};
+
+describe('reanalyze validators', () => {
+  test('turn "false" into false so retitle can be switched off', async () => {
+    const req = await run(recordValidators.reanalyze, { retitle: 'false' });
+    expect(validationResult(req).isEmpty()).toBe(true);
+    expect(req.body.retitle).toBe(false);
+  });
+
+  test('turn bulk retitle and dryRun strings into booleans', async () => {
+    const req = await run(recordValidators.reanalyzeBulk, { retitle: 'false', dryRun: 'true' });
+    expect(validationResult(req).isEmpty()).toBe(true);
+    expect(req.body).toMatchObject({ retitle: false, dryRun: true });
+  });
+
+  test('keep JSON booleans as they are', async () => {
+    const req = await run(recordValidators.reanalyzeBulk, { retitle: false, dryRun: false });
+    expect(req.body).toMatchObject({ retitle: false, dryRun: false });
+  });
+});
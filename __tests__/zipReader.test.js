@@ -0,0 +1,78 @@
+const zlib = require('zlib');
+const { isZip, readZip, readText } = require('../utils/zipReader');
+
+// Smallest zip our reader accepts: deflated entries, central directory, end record (CRCs unchecked)
+const buildZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+describe('readZip', () => {
+  const zip = buildZip({ 'a.xml': 'x'.repeat(600), 'b.xml': 'y'.repeat(600), 'c.xml': 'short' });
+
+  test('lists and inflates entries', () => {
+    expect(isZip(zip)).toBe(true);
+    const entries = readZip(zip);
+    expect([...entries.keys()]).toEqual(['a.xml', 'b.xml', 'c.xml']);
+    expect(readText(entries, 'c.xml')).toBe('short');
+    expect(readText(entries, 'missing.xml')).toBeNull();
+  });
+
+  test('rejects an entry larger than maxEntrySize', () => {
+    const entries = readZip(zip, { maxEntrySize: 500 });
+    expect(() => entries.get('a.xml').read()).toThrow('Zip entry too large: a.xml');
+  });
+
+  test('stops once the entries read add up to maxTotalSize', () => {
+    const entries = readZip(zip, { maxTotalSize: 1000 });
+    expect(entries.get('a.xml').read()).toHaveLength(600);
+    expect(() => entries.get('b.xml').read()).toThrow('Zip content too large');
+    // Small entries still fit in what is left
+    expect(readText(entries, 'c.xml')).toBe('short');
+  });
+
+  test('caps the inflate when an entry lies about its size', () => {
+    const lying = Buffer.from(zip);
+    const directoryStart = lying.readUInt32LE(lying.length - 22 + 16);
+    lying.writeUInt32LE(10, directoryStart + 24); // a.xml claims 10 bytes, inflates to 600
+
+    const entries = readZip(lying, { maxTotalSize: 100 });
+    expect(() => entries.get('a.xml').read()).toThrow();
+  });
+});
@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 
+// Sorted [field, weight] pairs, to compare a text index definition with what Mongo has
+const textIndexWeights = (weights = {}) => JSON.stringify(Object.entries(weights).sort(([a], [b]) => a.localeCompare(b)));
+
+// === Rebuild the Record text index when its fields or weights change ===
+// Mongo can't change a text index in place (IndexOptionsConflict), so drop it and create it again
+const syncSearchIndex = async () => {
+  const Record = require('../models/Record');
+
+  // Let Mongoose's own index build finish (it fails on the old index, that's expected)
+  await Record.init().catch(() => {});
+
+  const [, options] = Record.schema.indexes().find(([, opts]) => opts.name === 'SearchIndex');
+  const existing = (await Record.collection.indexes().catch(() => [])).find(index => index.name === 'SearchIndex');
+
+  if (existing && textIndexWeights(existing.weights) === textIndexWeights(options.weights)) return;
+
+  if (existing) {
+    console.log('🔧 SearchIndex definition changed, rebuilding it');
+    await Record.collection.dropIndex('SearchIndex');
+  }
+  await Record.createIndexes();
+  console.log('✅ SearchIndex is up to date');
+};
+
+const MIGRATIONS = [syncSearchIndex];
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -8,6 +34,16 @@ const connectDB = async () => {
     });
 
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+
+    // A failed migration shouldn't keep the server down; the next start tries again
+    for (const migration of MIGRATIONS) {
+      try {
+        await migration();
+      } catch (migrationError) {
+        console.error(`❌ Migration ${migration.name} error: ${migrationError.message}`);
+      }
+    }
+
     return conn;
   } catch (error) {
     console.error(`❌ MongoDB connection error: ${error.message}`);
@@ -29,4 +65,5 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
-module.exports = connectDB;
\ No newline at end of file
+module.exports = connectDB;
+module.exports.syncSearchIndex = syncSearchIndex;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const { generateToken } = require('../middleware/auth');
+const usageService = require('../services/usageService');
 const { ERROR_MESSAGES, SUCCESS_MESSAGES, HTTP_STATUS } = require('../utils/constants');
 
 class AuthController {
@@ -128,6 +129,24 @@ class AuthController {
       });
     }
   }
+
+  // AI usage this month and how much of the daily/monthly quota is left
+  async getUsage(req, res) {
+    try {
+      const usage = await usageService.getUsage(req.user._id);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: usage
+      });
+    } catch (error) {
+      console.error('Get usage error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
@@ -1,8 +1,12 @@
 const Record = require('../models/Record');
 const cloudinaryService = require('../services/cloudinaryService');
-const geminiService = require('../services/geminiService');
-const { ERROR_MESSAGES, SUCCESS_MESSAGES, HTTP_STATUS } = require('../utils/constants');
+const embeddingService = require('../services/embeddingService');
+const documentPageService = require('../services/documentPageService');
+const relatedRecordsService = require('../services/relatedRecordsService');
+const enrichmentService = require('../services/enrichmentService');
+const { ERROR_MESSAGES, SUCCESS_MESSAGES, HTTP_STATUS, RELATED_DEFAULTS, ENRICHMENT_STATUS, REANALYZE_DEFAULTS, EMBEDDING_DEFAULTS } = require('../utils/constants');
 const { extractFileMetadata } = require('../utils/fileValidators');
+const { withTimeout } = require('../utils/helpers');
 
 // Debug logger - MOVED OUTSIDE CLASS to fix the issue
 const debugLog = (method, message, data = null) => {
@@ -107,7 +111,231 @@ class RecordController {
     }
   }
 
-  // Create new record - WITH COMPREHENSIVE DEBUGGING
+  // Enrichment status for one record
+  async getEnrichmentStatus(req, res) {
+    const method = 'getEnrichmentStatus';
+    
+    try {
+      const record = await Record.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      }).select('title geminiSummary enrichment updatedAt');
+      
+      if (!record) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.RECORD_NOT_FOUND
+        });
+      }
+      
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: enrichmentService.describe(record)
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Enrichment status for many records (?ids=a,b,c) or all unfinished ones
+  async listEnrichmentStatus(req, res) {
+    const method = 'listEnrichmentStatus';
+    
+    try {
+      const { ids } = req.query;
+      const query = { user: req.user._id };
+      
+      if (ids) {
+        query._id = { $in: ids.split(',').map(id => id.trim()).filter(Boolean) };
+      } else {
+        query['enrichment.status'] = {
+          $in: [ENRICHMENT_STATUS.PENDING, ENRICHMENT_STATUS.PROCESSING, ENRICHMENT_STATUS.FAILED]
+        };
+      }
+      
+      const records = await Record.find(query)
+        .select('title geminiSummary enrichment updatedAt')
+        .sort({ createdAt: -1 })
+        .limit(100);
+      
+      const statuses = records.map(record => enrichmentService.describe(record));
+      const counts = {};
+      statuses.forEach(s => { counts[s.status] = (counts[s.status] || 0) + 1; });
+      
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          records: statuses,
+          counts
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Re-run the summary/title analysis for one record in the background
+  async reanalyzeRecord(req, res) {
+    const method = 'reanalyzeRecord';
+    debugLog(method, `Reanalyzing record: ${req.params.id}`);
+    
+    try {
+      const { retitle = true } = req.body;
+      
+      const record = await Record.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+      
+      if (!record) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.RECORD_NOT_FOUND
+        });
+      }
+      
+      if (enrichmentService.isInProgress(record)) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          error: ERROR_MESSAGES.ENRICHMENT_IN_PROGRESS,
+          data: enrichmentService.describe(record)
+        });
+      }
+      
+      await enrichmentService.requeue(record, { retitle });
+      
+      res.status(HTTP_STATUS.ACCEPTED).json({
+        success: true,
+        message: 'Record queued for analysis',
+        data: enrichmentService.describe(record)
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Reanalyze many records: the given ids, or every record stuck with a fallback summary
+  async reanalyzeRecords(req, res) {
+    const method = 'reanalyzeRecords';
+    
+    try {
+      const {
+        ids,
+        retitle = true,
+        dryRun = false,
+        limit = REANALYZE_DEFAULTS.BULK_LIMIT
+      } = req.body;
+      
+      const query = { user: req.user._id };
+      if (ids && ids.length > 0) {
+        query._id = { $in: ids };
+      } else {
+        // Fallback summaries, plus records whose enrichment gave up
+        query.$or = [
+          ...enrichmentService.fallbackSummaryQuery().$or,
+          { 'enrichment.status': ENRICHMENT_STATUS.FAILED }
+        ];
+        // ...except documents with no readable text and permanent failures: they'd come back unchanged
+        query['document.extracted'] = { $ne: false };
+        query['enrichment.permanent'] = { $ne: true };
+      }
+      
+      const records = await Record.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(limit), REANALYZE_DEFAULTS.BULK_LIMIT));
+      
+      const toQueue = records.filter(record => !enrichmentService.isInProgress(record));
+      const skipped = records.length - toQueue.length;
+      debugLog(method, `${toQueue.length} record(s) to reanalyze, ${skipped} already in progress${dryRun ? ' (dry run)' : ''}`);
+      
+      if (!dryRun) {
+        for (const record of toQueue) {
+          await enrichmentService.requeue(record, { retitle });
+        }
+      }
+      
+      res.status(dryRun ? HTTP_STATUS.OK : HTTP_STATUS.ACCEPTED).json({
+        success: true,
+        message: dryRun
+          ? `${toQueue.length} record(s) would be reanalyzed`
+          : `${toQueue.length} record(s) queued for analysis`,
+        data: {
+          queued: dryRun ? 0 : toQueue.length,
+          skipped,
+          dryRun,
+          records: toQueue.map(record => ({
+            recordId: record._id,
+            title: record.title,
+            geminiSummary: record.geminiSummary
+          }))
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Records similar to this one (shared tags, entities, text, time)
+  async getRelatedRecords(req, res) {
+    const method = 'getRelatedRecords';
+    debugLog(method, `Finding records related to: ${req.params.id}`);
+    
+    try {
+      const { id } = req.params;
+      const { limit = RELATED_DEFAULTS.LIMIT } = req.query;
+      
+      const record = await Record.findOne({
+        _id: id,
+        user: req.user._id
+      });
+      
+      if (!record) {
+        debugLog(method, `Record not found: ${id}`);
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.RECORD_NOT_FOUND
+        });
+      }
+      
+      const related = await relatedRecordsService.findRelated(record, req.user._id, {
+        limit: parseInt(limit)
+      });
+      
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          recordId: record._id,
+          records: related.map(r => r.record),
+          related,
+          count: related.length
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Create new record - AI enrichment runs in the background (see enrichmentService)
   async createRecord(req, res) {
   const method = 'createRecord';
   debugLog(method, '=== STARTING RECORD CREATION ===');
@@ -139,33 +367,11 @@ class RecordController {
     }
     
     let metadata = {};
-    let geminiSummary = '';
     let recordContent = content || '';
-    let finalTitle = userTitle ? userTitle.trim() : '';
     
     // Track if user provided a title
     const userProvidedTitle = !!userTitle && userTitle.trim() !== '';
-    debugLog(method, `User provided title: ${userProvidedTitle} ("${finalTitle}")`);
-    
-    // Helper function to check if title is generic
-    const isGenericTitle = (title) => {
-      if (!title) return false;
-      const lowerTitle = title.toLowerCase();
-      const genericPatterns = [
-        'photo', 'image', 'picture', 'img',
-        'note', 'document', 'doc', 'text',
-        'audio', 'sound', 'recording',
-        'video', 'movie', 'clip',
-        'link', 'url', 'website'
-      ];
-      
-      // Check for patterns like "Photo 2024-12-12" or "Note December 12"
-      const datePattern = /\d{4}[-/]\d{2}[-/]\d{2}|(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)/i;
-      
-      return genericPatterns.some(pattern => 
-        lowerTitle.includes(pattern) && (lowerTitle.match(/\d+/) || datePattern.test(lowerTitle))
-      );
-    };
+    debugLog(method, `User provided title: ${userProvidedTitle} ("${userTitle || ''}")`);
     
     // Handle file upload if present
     if (file) {
@@ -192,203 +398,10 @@ class RecordController {
         metadata.format = uploadResult.format;
         debugLog(method, 'Extracted metadata:', metadata);
         
-        // ========== GEMINI INTEGRATION FOR ALL FILE TYPES ==========
-        
-        // IMAGE ANALYSIS
-        if (type === 'image') {
-          debugLog(method, '--- IMAGE ANALYSIS START ---');
-          try {
-            debugLog(method, `Calling Gemini analyzeImage with URL: ${fileUrl}`);
-            geminiSummary = await geminiService.analyzeImage(fileUrl);
-            debugLog(method, `Image analysis successful! Summary length: ${geminiSummary.length}`);
-            debugLog(method, `Summary preview: ${geminiSummary.substring(0, 150)}...`);
-          } catch (imageError) {
-            console.error(`[${method}] Image analysis ERROR:`, imageError.message);
-            geminiSummary = 'Image uploaded - contains visual interface elements';
-            debugLog(method, `Using fallback summary: ${geminiSummary}`);
-          }
-          
-          // CRITICAL FIX: Generate smart title if user didn't provide one OR provided generic title
-          if (!userProvidedTitle || isGenericTitle(finalTitle)) {
-            debugLog(method, 'Generating title for image...');
-            try {
-              const geminiTitle = await geminiService.generateTitleFromImage(geminiSummary);
-              if (geminiTitle && geminiTitle.length > 5 && !isGenericTitle(geminiTitle)) {
-                finalTitle = geminiTitle;
-                debugLog(method, `Generated image title: ${finalTitle}`);
-              } else if (!finalTitle) {
-                // Only use filename as fallback if no title at all
-                const cleanName = file.originalname.replace(/\.[^/.]+$/, '');
-                finalTitle = cleanName.replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim() || `Photo ${new Date().toLocaleDateString()}`;
-                debugLog(method, `Using filename-based title: ${finalTitle}`);
-              }
-            } catch (titleError) {
-              console.error(`[${method}] Image title generation ERROR:`, titleError.message);
-              if (!finalTitle) {
-                const cleanName = file.originalname.replace(/\.[^/.]+$/, '');
-                finalTitle = cleanName.replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim() || `Photo ${new Date().toLocaleDateString()}`;
-                debugLog(method, `Using filename-based title: ${finalTitle}`);
-              }
-            }
-          }
-        } 
-        
-        // AUDIO/VIDEO ANALYSIS
-        else if (type === 'audio' || type === 'video') {
-          debugLog(method, `--- ${type.toUpperCase()} ANALYSIS START ---`);
-          const fileDesc = `File: ${file.originalname}, Type: ${type}, Size: ${file.size} bytes`;
-          try {
-            geminiSummary = await geminiService.analyzeMedia(fileDesc, type);
-            debugLog(method, `${type} analysis successful: ${geminiSummary.substring(0, 100)}...`);
-          } catch (mediaError) {
-            console.error(`[${method}] ${type} analysis ERROR:`, mediaError.message);
-            geminiSummary = `${type.charAt(0).toUpperCase() + type.slice(1)} file uploaded`;
-            debugLog(method, `Using fallback: ${geminiSummary}`);
-          }
-          
-          // Generate smart title if user didn't provide one OR provided generic title
-          if (!userProvidedTitle || isGenericTitle(finalTitle)) {
-            // Try to generate smart title from summary
-            if (geminiSummary && geminiSummary.length > 50) {
-              try {
-                const geminiTitle = await geminiService.generateTitleFromText(geminiSummary.substring(0, 500), type);
-                if (geminiTitle && geminiTitle.length > 5 && !isGenericTitle(geminiTitle)) {
-                  finalTitle = geminiTitle;
-                  debugLog(method, `Generated ${type} title from summary: ${finalTitle}`);
-                }
-              } catch (titleError) {
-                console.error(`[${method}] ${type} title generation ERROR:`, titleError.message);
-              }
-            }
-            
-            // If still no good title, use filename
-            if (!finalTitle || isGenericTitle(finalTitle)) {
-              const cleanName = file.originalname.replace(/\.[^/.]+$/, '');
-              const cleaned = cleanName.replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
-              finalTitle = cleaned || `${type.charAt(0).toUpperCase() + type.slice(1)} Recording`;
-              debugLog(method, `Using filename-based ${type} title: ${finalTitle}`);
-            }
-          }
-        }
-        
-        // TEXT/DOCUMENT ANALYSIS (TXT, DOCX, PDF, etc.)
-        else if (type === 'note' || type === 'document') {
-          debugLog(method, '--- DOCUMENT ANALYSIS START ---');
-          debugLog(method, `Document type: ${file.mimetype}, Size: ${file.size} bytes`);
-          
-          // For plain text files, extract text and analyze
-          if (file.mimetype === 'text/plain') {
-            debugLog(method, 'Processing plain text file...');
-            try {
-              const fileContent = file.buffer.toString('utf-8');
-              debugLog(method, `Extracted ${fileContent.length} chars from text file`);
-              
-              try {
-                geminiSummary = await geminiService.extractSummaryFromText(fileContent, 'note');
-                debugLog(method, `Text summary generated: ${geminiSummary.substring(0, 100)}...`);
-              } catch (summaryError) {
-                console.error(`[${method}] Text summary ERROR:`, summaryError.message);
-                geminiSummary = `Text file: ${file.originalname}`;
-                debugLog(method, `Using fallback: ${geminiSummary}`);
-              }
-              
-              recordContent = fileContent;
-              
-              // Generate smart title if user didn't provide one OR provided generic title
-              if (!userProvidedTitle || isGenericTitle(finalTitle)) {
-                try {
-                  const geminiTitle = await geminiService.generateTitleFromText(fileContent, 'note');
-                  if (geminiTitle && geminiTitle.length > 5 && !isGenericTitle(geminiTitle)) {
-                    finalTitle = geminiTitle;
-                    debugLog(method, `Generated text title: ${finalTitle}`);
-                  }
-                } catch (titleError) {
-                  console.error(`[${method}] Text title ERROR:`, titleError.message);
-                }
-                
-                // Fallback to filename if no good title yet
-                if (!finalTitle || isGenericTitle(finalTitle)) {
-                  finalTitle = file.originalname.replace(/\.[^/.]+$/, '');
-                  debugLog(method, `Using filename title: ${finalTitle}`);
-                }
-              }
-            } catch (textError) {
-              console.error(`[${method}] Text extraction ERROR:`, textError);
-              geminiSummary = 'Text file uploaded - content extraction failed';
-              if (!finalTitle) {
-                finalTitle = file.originalname.replace(/\.[^/.]+$/, '');
-              }
-              debugLog(method, `Text extraction failed, using fallbacks`);
-            }
-          }
-          // For other document types (DOCX, PDF, etc.) - use BUFFER ANALYSIS
-          else if (file.mimetype.includes('document') || 
-                   file.mimetype.includes('pdf') || 
-                   file.mimetype.includes('msword') ||
-                   file.mimetype.includes('presentation') ||
-                   file.mimetype.includes('spreadsheet')) {
-            
-            debugLog(method, `Processing document file: ${file.mimetype}`);
-            
-            try {
-              // Use Gemini to analyze document WITH FILE BUFFER
-              debugLog(method, `Calling Gemini analyzeDocument with BUFFER extraction...`);
-              const fileDesc = `Document: ${file.originalname}, Type: ${file.mimetype}, Size: ${file.size} bytes`;
-              
-              geminiSummary = await geminiService.analyzeDocument(
-                fileUrl,           // Cloudinary URL
-                fileDesc,          // File description
-                file.buffer,       // FILE BUFFER for local extraction
-                file.originalname, // File name
-                file.mimetype      // MIME type
-              );
-              
-              debugLog(method, `Document analysis successful: ${geminiSummary.substring(0, 100)}...`);
-            } catch (docError) {
-              console.error(`[${method}] Document analysis ERROR:`, docError.message);
-              geminiSummary = `${file.mimetype.split('/')[1]} document uploaded: ${file.originalname}`;
-              debugLog(method, `Using fallback summary: ${geminiSummary}`);
-            }
-            
-            // Generate smart title if user didn't provide one OR provided generic title
-            if (!userProvidedTitle || isGenericTitle(finalTitle)) {
-              try {
-                // If we have a summary, try to generate better title from it
-                if (geminiSummary && geminiSummary.length > 50) {
-                  const geminiTitle = await geminiService.generateTitleFromText(geminiSummary.substring(0, 500), 'note');
-                  if (geminiTitle && geminiTitle.length > 5 && !isGenericTitle(geminiTitle)) {
-                    finalTitle = geminiTitle;
-                    debugLog(method, `Generated document title from summary: ${finalTitle}`);
-                  }
-                }
-              } catch (titleError) {
-                console.error(`[${method}] Document title generation ERROR:`, titleError.message);
-              }
-              
-              // Fallback to filename if no good title yet
-              if (!finalTitle || isGenericTitle(finalTitle)) {
-                const cleanName = file.originalname.replace(/\.[^/.]+$/, '');
-                const cleaned = cleanName.replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
-                finalTitle = cleaned || `Document ${new Date().toLocaleDateString()}`;
-                debugLog(method, `Using cleaned filename as title: ${finalTitle}`);
-              }
-            }
-          }
-          // For other note file types
-          else {
-            debugLog(method, `Unsupported note file type: ${file.mimetype}`);
-            if (!finalTitle) {
-              finalTitle = file.originalname.replace(/\.[^/.]+$/, '');
-              debugLog(method, `Using filename as title: ${finalTitle}`);
-            }
-          }
-        }
-        
-        // OTHER FILE TYPES (generic handling)
-        else if (!finalTitle) {
-          // Fallback for other file types
-          finalTitle = file.originalname.replace(/\.[^/.]+$/, '');
-          debugLog(method, `Using filename as title: ${finalTitle}`);
+        // Plain text is cheap to read now; everything else is analysed by the worker
+        if (type === 'note' && file.mimetype === 'text/plain') {
+          recordContent = file.buffer.toString('utf-8');
+          debugLog(method, `Extracted ${recordContent.length} chars from text file`);
         }
       } catch (uploadError) {
         console.error(`[${method}] File upload ERROR:`, uploadError.message);
@@ -399,68 +412,13 @@ class RecordController {
       }
     }
     
-    // Handle notes and links (when no file or direct text input)
-    if ((type === 'note' || type === 'link') && recordContent && !geminiSummary) {
-      debugLog(method, `--- ${type.toUpperCase()} CONTENT PROCESSING ---`);
-      try {
-        geminiSummary = await geminiService.extractSummaryFromText(recordContent, type);
-        debugLog(method, `${type} summary generated: ${geminiSummary.substring(0, 100)}...`);
-      } catch (summaryError) {
-        console.error(`[${method}] ${type} summary ERROR:`, summaryError.message);
-        geminiSummary = type === 'link' ? 'Link saved' : 'Note content saved';
-        debugLog(method, `Using fallback: ${geminiSummary}`);
-      }
-      
-      // CRITICAL FIX: Generate smart title if user didn't provide one OR provided generic title
-      if (!userProvidedTitle || isGenericTitle(finalTitle)) {
-        try {
-          let geminiTitle;
-          if (type === 'link') {
-            geminiTitle = await geminiService.generateTitleFromUrl(recordContent);
-            debugLog(method, `Generated link title: ${geminiTitle}`);
-          } else {
-            geminiTitle = await geminiService.generateTitleFromText(recordContent, 'note');
-            debugLog(method, `Generated note title: ${geminiTitle}`);
-          }
-          
-          // Only use Gemini title if it's good (not generic)
-          if (geminiTitle && geminiTitle.length > 5 && !isGenericTitle(geminiTitle)) {
-            finalTitle = geminiTitle;
-          } else if (!finalTitle) {
-            // Fallback only if no title exists
-            if (type === 'link') {
-              try {
-                const url = new URL(recordContent);
-                finalTitle = url.hostname.replace(/^www\./, '');
-                debugLog(method, `Extracted domain title: ${finalTitle}`);
-              } catch {
-                finalTitle = recordContent.length > 30 ? recordContent.substring(0, 30) + '...' : recordContent;
-                debugLog(method, `Using truncated URL title: ${finalTitle}`);
-              }
-            } else {
-              // Extract first sentence as fallback
-              const firstSentence = recordContent.split(/[.!?\n]/)[0].trim();
-              if (firstSentence && firstSentence.length > 10) {
-                finalTitle = firstSentence;
-                debugLog(method, `Using first sentence title: ${finalTitle}`);
-              }
-            }
-          }
-        } catch (titleError) {
-          console.error(`[${method}] ${type} title ERROR:`, titleError.message);
-          if (!finalTitle) {
-            finalTitle = geminiService.getDefaultTitle(type);
-            debugLog(method, `Using default title: ${finalTitle}`);
-          }
-        }
-      }
-    }
-    
-    // If still no title, use default (only if truly empty)
-    if (!finalTitle || finalTitle.trim() === '') {
-      finalTitle = geminiService.getDefaultTitle(type);
-      debugLog(method, `Using default title: ${finalTitle}`);
-    }
+    // Title shown until enrichment suggests a better one
+    let finalTitle = enrichmentService.provisionalTitle({
+      type,
+      userTitle,
+      fileName: file ? file.originalname : null,
+      content: recordContent
+    });
     
     // Truncate title if too long
     if (finalTitle.length > 100) {
@@ -468,13 +426,6 @@ class RecordController {
       debugLog(method, `Truncated title to: ${finalTitle}`);
     }
     
-    // Ensure geminiSummary is not empty
-    if (!geminiSummary || geminiSummary.trim() === '') {
-      geminiSummary = 'Content analysis completed';
-      debugLog(method, `Setting default summary: ${geminiSummary}`);
-    }
-    
-    // Create record with smart title
     const record = new Record({
       user: req.user._id,
       type,
@@ -482,16 +433,31 @@ class RecordController {
       content: recordContent,
       fileUrl,
       cloudinaryPublicId,
-      geminiSummary: geminiSummary,
+      geminiSummary: '',
       metadata,
       tags: Array.isArray(tags) ? tags : []
     });
     
+    // A deliberate title is kept; generic ones ("Photo 2024-12-12") get replaced
+    const job = enrichmentService.prepare(record, {
+      titleLocked: userProvidedTitle && !enrichmentService.isGenericTitle(finalTitle)
+    });
+    
     debugLog(method, 'Saving record to database...');
     await record.save();
     
-    debugLog(method, `=== RECORD CREATED SUCCESSFULLY ===`);
-    debugLog(method, `Type: ${type}, Title: "${finalTitle}", Summary length: ${geminiSummary.length}`);
+    try {
+      await enrichmentService.queue(job);
+    } catch (queueError) {
+      // The record is saved; it can be re-queued, so don't fail the request
+      console.error(`[${method}] Enrichment queue ERROR:`, queueError.message);
+      record.enrichment.status = ENRICHMENT_STATUS.FAILED;
+      record.enrichment.error = queueError.message;
+      await record.save();
+    }
+    
+    debugLog(method, `=== RECORD CREATED (enrichment ${record.enrichment.status}) ===`);
+    debugLog(method, `Type: ${type}, Title: "${finalTitle}"`);
     
     res.status(HTTP_STATUS.CREATED).json({
       success: true,
@@ -550,6 +516,7 @@ class RecordController {
       if (title !== undefined) {
         debugLog(method, `Updating title from "${record.title}" to "${title}"`);
         record.title = title;
+        record.enrichment.titleLocked = true; // Background enrichment must not overwrite it
       }
       if (content !== undefined) {
         debugLog(method, `Updating content (old length: ${record.content.length}, new: ${content.length})`);
@@ -560,21 +527,33 @@ class RecordController {
         record.tags = Array.isArray(tags) ? tags : record.tags;
       }
       
-      // Regenerate summary if content changed
-      if (content !== undefined && (record.type === 'note' || record.type === 'link')) {
-        debugLog(method, `Regenerating summary for ${record.type}`);
+      // New content needs a new summary: the worker writes it, as it does for new records
+      // (long content is summarised chunk by chunk, far too slow for a request), then embeds the record
+      const resummarize = content !== undefined && (record.type === 'note' || record.type === 'link');
+      
+      // Otherwise recompute the embedding here if title/content/tags changed, without letting a slow provider hold the request
+      if (!resummarize) {
         try {
-          record.geminiSummary = await geminiService.extractSummaryFromText(content, record.type);
-          debugLog(method, `New summary generated: ${record.geminiSummary.substring(0, 100)}...`);
-        } catch (summaryError) {
-          console.error(`[${method}] Summary regeneration ERROR:`, summaryError.message);
-          debugLog(method, 'Keeping existing summary');
+          const reembedded = await withTimeout(embeddingService.embedRecord(record), EMBEDDING_DEFAULTS.REQUEST_TIMEOUT_MS, 'Embedding');
+          debugLog(method, reembedded ? 'Embedding refreshed' : 'Embedding still current');
+        } catch (embeddingError) {
+          console.error(`[${method}] Embedding ERROR:`, embeddingError.message);
         }
       }
       
       await record.save();
       debugLog(method, 'Record updated successfully');
       
+      if (resummarize) {
+        try {
+          await enrichmentService.requeue(record, { retitle: false });
+          debugLog(method, `Summary regeneration queued for ${record.type}`);
+        } catch (queueError) {
+          console.error(`[${method}] Requeue ERROR:`, queueError.message);
+          debugLog(method, 'Keeping existing summary');
+        }
+      }
+      
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: SUCCESS_MESSAGES.RECORD_UPDATED,
@@ -625,8 +604,9 @@ class RecordController {
         }
       }
       
-      // Delete record from database
+      // Delete record (and its page index) from database
       await record.deleteOne();
+      await documentPageService.deleteForRecord(record._id);
       debugLog(method, 'Record deleted from database');
       
       res.status(HTTP_STATUS.OK).json({
@@ -0,0 +1,269 @@
+const SavedSearch = require('../models/SavedSearch');
+const savedSearchService = require('../services/savedSearchService');
+const queryLanguageService = require('../services/queryLanguageService');
+const { ERROR_MESSAGES, HTTP_STATUS, SEARCH_DEFAULTS, SAVED_SEARCH_DEFAULTS } = require('../utils/constants');
+
+// advancedSearch filter fields a saved search may store
+const FILTER_FIELDS = ['keywords', 'types', 'dateFrom', 'dateTo', 'tags', 'sortBy', 'sortOrder'];
+
+const pickFilters = (filters = {}) => {
+  const picked = {};
+  FILTER_FIELDS.forEach(field => {
+    if (filters[field] !== undefined) picked[field] = filters[field];
+  });
+  return picked;
+};
+
+// Catch bad query syntax when a search is saved, not every time it runs
+const checkQuerySyntax = (query) => {
+  if (query && queryLanguageService.hasSyntax(query)) {
+    queryLanguageService.parse(query);
+  }
+};
+
+const syntaxErrorResponse = (res, error) => {
+  return res.status(HTTP_STATUS.BAD_REQUEST).json({
+    success: false,
+    error: error.message,
+    position: error.position
+  });
+};
+
+class SavedSearchController {
+  // Save a natural-language query or an advanced filter set under a name
+  async createSavedSearch(req, res) {
+    const method = 'createSavedSearch';
+
+    try {
+      const { name, query, filters, isCollection = false, cacheResults = true } = req.body;
+      checkQuerySyntax(query);
+
+      const savedSearch = new SavedSearch({
+        user: req.user._id,
+        name,
+        kind: query ? 'query' : 'filters',
+        query: query || undefined,
+        filters: query ? undefined : pickFilters(filters),
+        isCollection,
+        cacheResults
+      });
+
+      await savedSearch.save();
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Search saved',
+        data: { savedSearch }
+      });
+    } catch (error) {
+      if (error.name === 'QuerySyntaxError') return syntaxErrorResponse(res, error);
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          error: ERROR_MESSAGES.SAVED_SEARCH_EXISTS
+        });
+      }
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // List saved searches
+  async listSavedSearches(req, res) {
+    const method = 'listSavedSearches';
+
+    try {
+      const savedSearches = await SavedSearch.find({ user: req.user._id })
+        .sort({ updatedAt: -1 })
+        .limit(SAVED_SEARCH_DEFAULTS.LIST_LIMIT)
+        .select('-lastResultIds');
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          savedSearches,
+          count: savedSearches.length
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Re-run a saved search (also how a smart collection's members are fetched)
+  async runSavedSearch(req, res) {
+    const method = 'runSavedSearch';
+
+    try {
+      const { page = SEARCH_DEFAULTS.PAGE, limit = SEARCH_DEFAULTS.LIMIT } = req.query;
+
+      const savedSearch = await SavedSearch.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!savedSearch) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.SAVED_SEARCH_NOT_FOUND
+        });
+      }
+
+      // Only the first page refreshes the cache, so paging doesn't reset "what changed"
+      const result = await savedSearchService.run(savedSearch, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        updateCache: parseInt(page) === 1
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          savedSearch: {
+            _id: savedSearch._id,
+            name: savedSearch.name,
+            kind: savedSearch.kind,
+            query: savedSearch.query,
+            filters: savedSearch.filters,
+            isCollection: savedSearch.isCollection
+          },
+          ...result
+        }
+      });
+    } catch (error) {
+      if (error.name === 'QuerySyntaxError') return syntaxErrorResponse(res, error);
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Rename, change the query/filters or toggle collection status
+  async updateSavedSearch(req, res) {
+    const method = 'updateSavedSearch';
+
+    try {
+      const { name, query, filters, isCollection, cacheResults } = req.body;
+      checkQuerySyntax(query);
+
+      const savedSearch = await SavedSearch.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!savedSearch) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.SAVED_SEARCH_NOT_FOUND
+        });
+      }
+
+      if (name !== undefined) savedSearch.name = name;
+      if (isCollection !== undefined) savedSearch.isCollection = isCollection;
+      if (cacheResults !== undefined) savedSearch.cacheResults = cacheResults;
+
+      // Changing what is searched makes the cached results meaningless
+      if (query !== undefined || filters !== undefined) {
+        savedSearch.kind = query ? 'query' : 'filters';
+        savedSearch.query = query || undefined;
+        savedSearch.filters = query ? undefined : pickFilters(filters);
+        savedSearch.lastResultIds = [];
+        savedSearch.lastRunAt = undefined;
+      }
+
+      await savedSearch.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Saved search updated',
+        data: { savedSearch }
+      });
+    } catch (error) {
+      if (error.name === 'QuerySyntaxError') return syntaxErrorResponse(res, error);
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          error: ERROR_MESSAGES.SAVED_SEARCH_EXISTS
+        });
+      }
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Delete a saved search
+  async deleteSavedSearch(req, res) {
+    const method = 'deleteSavedSearch';
+
+    try {
+      const result = await SavedSearch.deleteOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.SAVED_SEARCH_NOT_FOUND
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Saved search deleted'
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Smart collections with their current member counts
+  async listCollections(req, res) {
+    const method = 'listCollections';
+
+    try {
+      const collections = await SavedSearch.find({
+        user: req.user._id,
+        isCollection: true
+      }).sort({ name: 1 });
+
+      const withCounts = await Promise.all(collections.map(async (collection) => {
+        const { count, live } = await savedSearchService.countMembers(collection);
+        const { lastResultIds, ...rest } = collection.toJSON();
+        return { ...rest, memberCount: count, memberCountIsLive: live };
+      }));
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          collections: withCounts,
+          count: withCounts.length
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+}
+
+module.exports = new SavedSearchController();
@@ -0,0 +1,91 @@
+const Record = require('../models/Record');
+const searchAnalyticsService = require('../services/searchAnalyticsService');
+const { ERROR_MESSAGES, HTTP_STATUS, ANALYTICS_DEFAULTS } = require('../utils/constants');
+
+// Overall analytics are limited to the emails listed in ANALYTICS_ADMIN_EMAILS
+const isAnalyticsAdmin = (user) => {
+  const admins = (process.env.ANALYTICS_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  return admins.includes(user.email);
+};
+
+class SearchAnalyticsController {
+  // Record that the user opened a result from a search
+  async recordOpen(req, res) {
+    const method = 'recordOpen';
+
+    try {
+      const { recordId } = req.body;
+
+      const record = await Record.exists({ _id: recordId, user: req.user._id });
+      if (!record) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.RECORD_NOT_FOUND
+        });
+      }
+
+      const event = await searchAnalyticsService.recordOpen(req.user._id, req.params.id, recordId);
+      if (!event) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.SEARCH_EVENT_NOT_FOUND
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          searchId: event._id,
+          openedRecordId: event.openedRecordId,
+          openedRank: event.openedRank
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Top queries, zero-result queries and Gemini fallback rate (scope=all for every user)
+  async getAnalytics(req, res) {
+    const method = 'getAnalytics';
+
+    try {
+      const { scope = 'me', days = ANALYTICS_DEFAULTS.DAYS } = req.query;
+
+      if (scope === 'all' && !isAnalyticsAdmin(req.user)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          error: ERROR_MESSAGES.ANALYTICS_FORBIDDEN
+        });
+      }
+
+      const summary = await searchAnalyticsService.getSummary({
+        userId: scope === 'all' ? null : req.user._id,
+        days: parseInt(days)
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          scope,
+          ...summary
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+}
+
+module.exports = new SearchAnalyticsController();
@@ -1,6 +1,19 @@
 const Record = require('../models/Record');
+const hybridSearchService = require('../services/hybridSearchService');
+const universalSearchService = require('../services/universalSearchService');
+const highlightService = require('../services/highlightService');
+const facetService = require('../services/facetService');
+const suggestService = require('../services/suggestService');
+const fuzzySearchService = require('../services/fuzzySearchService');
+const queryLanguageService = require('../services/queryLanguageService');
+const searchAnalyticsService = require('../services/searchAnalyticsService');
+const embeddingService = require('../services/embeddingService');
 const geminiService = require('../services/geminiService');
-const { ERROR_MESSAGES, HTTP_STATUS, SEARCH_DEFAULTS } = require('../utils/constants');
+const searchSessionService = require('../services/searchSessionService');
+const usageService = require('../services/usageService');
+const documentPageService = require('../services/documentPageService');
+const { ERROR_MESSAGES, HTTP_STATUS, SEARCH_DEFAULTS, EMBEDDING_DEFAULTS, ASK_DEFAULTS } = require('../utils/constants');
+const { paginate } = require('../utils/helpers');
 
 const debugLog = (method, message, data = null) => {
   const timestamp = new Date().toISOString();
@@ -12,15 +25,19 @@ class SearchController {
   constructor() {
     this.search = this.search.bind(this);
     this.advancedSearch = this.advancedSearch.bind(this);
+    this.semanticSearch = this.semanticSearch.bind(this);
+    this.ask = this.ask.bind(this);
+    this.suggest = this.suggest.bind(this);
   }
 
   // THE ONE SEARCH METHOD TO RULE THEM ALL
   search = async (req, res) => {
     const method = 'search';
     debugLog(method, '=== 🔍 SEARCH STARTED ===');
+    const startedAt = Date.now();
     
     try {
-      const { query } = req.body;
+      const { query, sessionId, removedFilters = [] } = req.body;
       
       if (!query || query.trim() === '') {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -31,127 +48,71 @@ class SearchController {
 
       debugLog(method, `User asked: "${query}"`);
       
-      // Get user's files (only what Gemini needs)
-      const userFiles = await Record.find({ 
-        user: req.user._id 
-      }).select('_id title geminiSummary content type');
-      
-      debugLog(method, `Found ${userFiles.length} files in your account`);
-
-      if (userFiles.length === 0) {
-        return res.json({
-          success: true,
-          data: {
-            query,
-            records: [],
-            count: 0,
-            message: "You haven't saved any files yet. Start adding some!"
-          }
-        });
+      // Reject broken query syntax before a session is touched
+      if (queryLanguageService.hasSyntax(query)) {
+        queryLanguageService.parse(query);
       }
-
-      // === STEP 1: LET GEMINI DO WHAT IT DOES BEST ===
-      let geminiResult = null;
-      let geminiError = null;
       
-      try {
-        debugLog(method, '🤔 Asking Gemini to understand what you want...');
-        geminiResult = await geminiService.findMatchingFiles(query, userFiles);
-        
-        if (geminiResult) {
-          debugLog(method, `✨ Gemini understood! Found ${geminiResult.matchedFileIds?.length || 0} matches`);
-          debugLog(method, `Reasoning: ${geminiResult.reasoning}, Confidence: ${geminiResult.confidence}`);
-        }
-      } catch (error) {
-        geminiError = error;
-        debugLog(method, `❌ Gemini had trouble: ${error.message}`);
-      }
-
-      // === STEP 2: IF GEMINI FOUND MATCHES, RETURN THEM ===
-      if (geminiResult?.matchedFileIds?.length > 0) {
-        const matchedFiles = await Record.find({
-          _id: { $in: geminiResult.matchedFileIds },
-          user: req.user._id
+      // Follow-ups are read against the session's earlier turns
+      const session = await searchSessionService.getOrCreate(req.user._id, sessionId, query);
+      if (!session) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.SESSION_NOT_FOUND
         });
-        
-        // Preserve Gemini's order
-        const orderedFiles = geminiResult.matchedFileIds
-          .map(id => matchedFiles.find(f => f._id.toString() === id))
-          .filter(f => f);
-
-        const response = {
-          success: true,
-          data: {
-            query,
-            records: orderedFiles,
-            count: orderedFiles.length,
-            searchType: geminiResult.reasoning === 'title_match' ? '📄 Found by title' : '🧠 Found by description',
-            message: geminiResult.message || `Found ${orderedFiles.length} file${orderedFiles.length > 1 ? 's' : ''}`
-          }
-        };
-
-        // Add confidence message if low
-        if (geminiResult.confidence < 0.7) {
-          response.data.message += " (I'm not 100% sure, but these seem right)";
-        }
-
-        debugLog(method, `✅ Returning ${orderedFiles.length} matches`);
-        return res.status(HTTP_STATUS.OK).json(response);
       }
-
-      // === STEP 3: SIMPLE FALLBACK (only if Gemini failed) ===
-      debugLog(method, '⚠️ Using simple fallback search');
-      
-      // Extract meaningful words from query
-      const stopWords = ['the', 'and', 'was', 'were', 'that', 'this', 'with', 'from', 'have', 'had', 'about', 'a', 'an', 'for', 'im', 'looking', 'file', 'find', 'search', 'get', 'me', 'my'];
-      const words = query.toLowerCase()
-        .split(' ')
-        .filter(word => word.length > 2 && !stopWords.includes(word))
-        .map(word => word.replace(/[^a-z0-9]/g, ''));
-      
-      if (words.length === 0) {
-        // Just return recent files if no keywords
-        const recentFiles = await Record.find({ user: req.user._id })
-          .sort({ createdAt: -1 })
-          .limit(SEARCH_DEFAULTS.LIMIT);
-        
-        return res.json({
-          success: true,
-          data: {
-            query,
-            records: recentFiles,
-            count: recentFiles.length,
-            searchType: 'fallback',
-            message: "Showing your most recent files. Try being more specific!"
-          }
-        });
+      
+      const { interpretedQuery, scope, restrictToIds } = await searchSessionService.interpretQuery(session, query);
+      if (interpretedQuery !== query) {
+        debugLog(method, `💬 Interpreted as: "${interpretedQuery}" (${scope})`);
       }
-
-      // Simple OR search on titles and summaries
-      const fallbackFiles = await Record.find({
-        user: req.user._id,
-        $or: words.flatMap(word => [
-          { title: { $regex: word, $options: 'i' } },
-          { geminiSummary: { $regex: word, $options: 'i' } }
-        ])
-      }).sort({ createdAt: -1 }).limit(SEARCH_DEFAULTS.LIMIT);
-
-      const message = geminiError 
-        ? "AI search had trouble. Here are basic matches."
-        : "Couldn't find exactly what you described. Here are close matches.";
-
-      return res.json({
+      
+      const data = await this.runSearch(interpretedQuery, req.user._id, { restrictToIds, removedFilters });
+      
+      // Feeds autocomplete; never worth failing a search over
+      suggestService.recordQuery(req.user._id, query).catch(error => {
+        console.error(`[${method}] Query history ERROR:`, error.message);
+      });
+      
+      const searchId = searchAnalyticsService.logSearch(req.user._id, {
+        endpoint: 'search',
+        query,
+        path: searchAnalyticsService.pathForSearch(data),
+        searchType: data.searchType,
+        geminiStatus: data.ranking ? data.ranking.gemini : undefined,
+        records: data.records,
+        latencyMs: Date.now() - startedAt
+      });
+      
+      await searchSessionService.addTurn(session, {
+        query,
+        interpretedQuery,
+        scope,
+        searchType: data.searchType,
+        resultIds: data.records.map(r => r._id)
+      });
+      
+      return res.status(HTTP_STATUS.OK).json({
         success: true,
         data: {
+          ...data,
           query,
-          records: fallbackFiles,
-          count: fallbackFiles.length,
-          searchType: 'fallback',
-          message: fallbackFiles.length > 0 ? message : "No matches found. Try different words?"
+          interpretedQuery,
+          sessionId: session._id,
+          turn: session.turns.length,
+          searchId // Report opens against this (POST /api/search/events/:id/open)
         }
       });
 
     } catch (error) {
+      if (error.name === 'QuerySyntaxError') {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: error.message,
+          position: error.position
+        });
+      }
+      
       console.error(`[${method}] ERROR:`, error);
       
       // User-friendly error message
@@ -163,58 +124,251 @@ class SearchController {
     }
   }
 
+  // "page 14 of Contract.pdf" hits for paged documents among the results
+  async attachPageHits(results, userId, terms) {
+    const pageHits = await documentPageService.findPageHits(userId, results.map(r => r.record._id), terms);
+    results.forEach(result => {
+      const hits = pageHits[result.record._id.toString()];
+      if (hits) result.pageHits = hits;
+    });
+  }
+
+  // Hybrid ranking plus the "nothing matched" fallbacks, as response data
+  async runSearch(query, userId, options = {}) {
+    const method = 'runSearch';
+    
+    const fileCount = await Record.countDocuments({ user: userId });
+    debugLog(method, `Found ${fileCount} files in your account`);
+
+    if (fileCount === 0) {
+      return {
+        query,
+        records: [],
+        count: 0,
+        message: "You haven't saved any files yet. Start adding some!"
+      };
+    }
+
+    // === STEP 1: HYBRID RANKING (universal parser + Gemini) ===
+    const hybrid = await hybridSearchService.search(query, userId, options);
+    
+    if (hybrid.results.length > 0) {
+      const geminiUsed = hybrid.gemini.status === 'ok' && hybrid.results.some(r => r.geminiScore > 0);
+      
+      let searchType = 'fallback';
+      if (geminiUsed) {
+        searchType = hybrid.gemini.reasoning === 'title_match' ? '📄 Found by title' : '🧠 Found by description';
+      }
+      
+      const records = hybrid.results.map(r => r.record);
+      const terms = highlightService.termsFromParsedQuery(hybrid.parsedQuery);
+      const data = {
+        query,
+        records,
+        results: hybrid.results.map(r => ({
+          record: r.record,
+          score: r.score,
+          lexicalScore: r.lexicalScore,
+          geminiScore: r.geminiScore,
+          matchReasons: r.matchReasons,
+          explanation: r.explanation,
+          highlights: highlightService.highlightRecord(r.record, terms)
+        })),
+        count: records.length,
+        searchType,
+        filters: hybrid.parsedQuery.filters,
+        ranking: {
+          gemini: hybrid.gemini.status,
+          lexicalMatches: hybrid.lexicalCount,
+          considered: hybrid.gemini.considered,
+          skipped: hybrid.gemini.skipped
+        },
+        message: (geminiUsed && hybrid.gemini.message) || `Found ${records.length} file${records.length > 1 ? 's' : ''}`
+      };
+      await this.attachPageHits(data.results, userId, terms);
+      
+      // Let the user know when the AI half of the ranking wasn't available
+      if (hybrid.gemini.status === 'quota_exceeded') {
+        data.message += ' (AI search limit reached, ranked by keyword matches)';
+      } else if (hybrid.gemini.status === 'timeout' || hybrid.gemini.status === 'failed') {
+        data.message += ' (AI search had trouble, ranked by keyword matches)';
+      } else if (geminiUsed && hybrid.gemini.confidence < 0.7) {
+        data.message += " (I'm not 100% sure, but these seem right)";
+      }
+      
+      debugLog(method, `✅ Returning ${records.length} ranked matches`);
+      return data;
+    }
+    
+    // === STEP 2: NOTHING MATCHED ===
+    const { filters } = hybrid.parsedQuery;
+    
+    if (hybrid.parsedQuery.meaningfulWords.length === 0) {
+      // Just return recent files (within any parsed date/type filters) if no keywords
+      // A refinement ("only the PDFs") stays within the previous results
+      const recentQuery = { ...hybrid.filterQuery, user: userId };
+      if (options.restrictToIds) recentQuery._id = { $in: options.restrictToIds };
+      const recentFiles = await Record.find(recentQuery)
+        .sort({ createdAt: -1 })
+        .limit(SEARCH_DEFAULTS.LIMIT);
+      
+      let message = "Showing your most recent files. Try being more specific!";
+      if (hybrid.parsedQuery.syntax) {
+        message = recentFiles.length > 0
+          ? `Showing your most recent files matching ${query}`
+          : `Nothing matches ${query}`;
+      } else if (filters.length > 0) {
+        message = recentFiles.length > 0
+          ? `Showing your most recent files for ${filters.map(f => f.label).join(', ')}`
+          : `Nothing saved for ${filters.map(f => f.label).join(', ')}`;
+      }
+      
+      return {
+        query,
+        records: recentFiles,
+        count: recentFiles.length,
+        searchType: 'fallback',
+        filters,
+        message
+      };
+    }
+    
+    // === STEP 3: TYPO-TOLERANT MATCHING ("reciept" still finds "receipt") ===
+    const { matches: fuzzy } = await fuzzySearchService.search(userId, hybrid.parsedQuery.meaningfulWords, {
+      filterQuery: hybrid.filterQuery,
+      ids: options.restrictToIds
+    });
+    
+    if (fuzzy.length > 0) {
+      const matches = fuzzy.slice(0, SEARCH_DEFAULTS.LIMIT);
+      const didYouMean = fuzzySearchService.suggestCorrection(query, matches);
+      const terms = highlightService.termsFromWords(
+        [...new Set(matches.flatMap(r => r.corrections.map(c => c.matched)))]
+      );
+      
+      const results = matches.map(r => ({
+        record: r.record,
+        score: r.score,
+        matchReasons: r.matchedTerms.map(m => `close match "${m.term}" in ${m.field}`),
+        corrections: r.corrections,
+        highlights: highlightService.highlightRecord(r.record, terms)
+      }));
+      await this.attachPageHits(results, userId, terms);
+      
+      debugLog(method, `✅ Returning ${matches.length} close matches`);
+      return {
+        query,
+        records: matches.map(r => r.record),
+        results,
+        count: matches.length,
+        searchType: 'fuzzy',
+        filters,
+        didYouMean,
+        message: didYouMean
+          ? `No exact matches. Showing results for "${didYouMean}"`
+          : `Found ${matches.length} close match${matches.length > 1 ? 'es' : ''}`
+      };
+    }
+    
+    return {
+      query,
+      records: [],
+      results: [],
+      count: 0,
+      searchType: 'fallback',
+      filters,
+      message: "No matches found. Try different words?"
+    };
+  }
+
   // Keep advanced search for filters
   advancedSearch = async (req, res) => {
     const method = 'advancedSearch';
+    const startedAt = Date.now();
     
     try {
       const {
         keywords = [],
-        types = [],
-        dateFrom,
-        dateTo,
-        tags = [],
         limit = SEARCH_DEFAULTS.LIMIT,
         page = SEARCH_DEFAULTS.PAGE,
-        sortBy = SEARCH_DEFAULTS.SORT_BY,
-        sortOrder = SEARCH_DEFAULTS.SORT_ORDER
+        sortOrder = SEARCH_DEFAULTS.SORT_ORDER,
+        includeFacets = true
       } = req.body;
+      // Keyword searches rank by match quality unless a sort field is asked for
+      const sortBy = req.body.sortBy || (keywords.length > 0 ? 'relevance' : SEARCH_DEFAULTS.SORT_BY);
       
-      const query = { user: req.user._id };
+      let records;
+      let total;
+      let totalIsEstimate = false;
+      let facets;
+      const corrections = {};
       
-      if (keywords.length > 0) {
-        query.$or = keywords.flatMap(k => [
-          { title: { $regex: k, $options: 'i' } },
-          { geminiSummary: { $regex: k, $options: 'i' } }
+      if (sortBy === 'relevance' && keywords.length > 0) {
+        // Typo-tolerant keyword matching within the other filters
+        const filterQuery = universalSearchService.buildFilterQuery({ ...req.body, keywords: [] }, req.user._id);
+        const { matches, capped } = await fuzzySearchService.search(req.user._id, keywords, { filterQuery });
+        const { results } = paginate(matches, parseInt(page), parseInt(limit));
+        
+        records = results.map(r => r.record);
+        // Only the best candidates are scored, so past the candidate limit the count is a lower bound
+        total = matches.length;
+        totalIsEstimate = capped;
+        results.forEach(r => {
+          if (r.corrections.length > 0) corrections[r.record._id] = r.corrections;
+        });
+        facets = includeFacets
+          ? await facetService.getFacets({ user: req.user._id, _id: { $in: matches.map(r => r.record._id) } })
+          : null;
+      } else {
+        const query = universalSearchService.buildFilterQuery(req.body, req.user._id);
+        
+        // Facets come from the same query, so the sidebar always matches the results
+        const skip = (page - 1) * limit;
+        [records, total, facets] = await Promise.all([
+          Record.find(query)
+            .sort({ [sortBy]: parseInt(sortOrder) })
+            .skip(skip)
+            .limit(parseInt(limit)),
+          Record.countDocuments(query),
+          includeFacets ? facetService.getFacets(query) : null
         ]);
       }
       
-      if (types.length > 0) query.type = { $in: types };
-      
-      if (dateFrom || dateTo) {
-        query.createdAt = {};
-        if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-        if (dateTo) query.createdAt.$lte = new Date(dateTo);
-      }
-      
-      if (tags.length > 0) query.tags = { $all: tags };
-      
-      const skip = (page - 1) * limit;
-      const records = await Record.find(query)
-        .sort({ [sortBy]: parseInt(sortOrder) })
-        .skip(skip)
-        .limit(parseInt(limit));
+      // Where each keyword (or its corrected spelling) matched, keyed by record id
+      const correctedWords = Object.values(corrections).flat().map(c => c.matched);
+      const terms = highlightService.termsFromWords([...keywords, ...correctedWords]);
+      const highlights = {};
+      records.forEach(record => {
+        highlights[record._id] = highlightService.highlightRecord(record, terms);
+      });
+      const pageHits = await documentPageService.findPageHits(req.user._id, records.map(r => r._id), terms);
       
-      const total = await Record.countDocuments(query);
+      const searchId = searchAnalyticsService.logSearch(req.user._id, {
+        endpoint: 'advanced',
+        query: keywords.join(' '),
+        path: 'advanced',
+        searchType: sortBy === 'relevance' && keywords.length > 0 ? 'fuzzy' : 'filters',
+        records,
+        resultCount: total,
+        latencyMs: Date.now() - startedAt
+      });
       
       res.status(HTTP_STATUS.OK).json({
         success: true,
         data: {
+          searchId,
           records,
+          highlights,
+          pageHits,
+          corrections,
+          facets,
+          sortBy,
           pagination: {
             currentPage: parseInt(page),
             totalPages: Math.ceil(total / limit),
-            totalRecords: total
+            totalRecords: total,
+            totalIsEstimate,
+            hasMore: totalIsEstimate || page * limit < total
           }
         }
       });
@@ -226,6 +380,183 @@ class SearchController {
       });
     }
   }
+
+  // Vector similarity search over record embeddings
+  semanticSearch = async (req, res) => {
+    const method = 'semanticSearch';
+    
+    try {
+      const { query, limit = EMBEDDING_DEFAULTS.TOP_K } = req.body;
+      debugLog(method, `Semantic search: "${query}" (top ${limit})`);
+      
+      const { results, indexedCount, scannedCount, pendingCount } = await embeddingService.findSimilar(
+        req.user._id,
+        query,
+        { limit: parseInt(limit) }
+      );
+      
+      // Records saved before embeddings existed get indexed in the background
+      if (pendingCount > 0) {
+        embeddingService.backfill(req.user._id).catch(error => {
+          console.error(`[${method}] Backfill ERROR:`, error.message);
+        });
+      }
+      
+      const parsedQuery = await universalSearchService.intelligentQueryParser(query);
+      const terms = highlightService.termsFromParsedQuery(parsedQuery);
+      const semanticResults = results.map(r => ({
+        ...r,
+        highlights: highlightService.highlightRecord(r.record, terms)
+      }));
+      await this.attachPageHits(semanticResults, req.user._id, terms);
+      
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          query,
+          records: results.map(r => r.record),
+          results: semanticResults,
+          count: results.length,
+          searchType: 'semantic',
+          index: {
+            provider: embeddingService.provider.name,
+            model: embeddingService.provider.model,
+            indexedRecords: indexedCount,
+            scannedRecords: scannedCount,
+            pendingRecords: pendingCount
+          }
+        }
+      });
+    } catch (error) {
+      // Embedding the query needs the AI, so there is nothing to degrade to
+      if (error.code === 'QUOTA_EXCEEDED') {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          quota: { exceeded: error.quota.exceeded, resetsAt: error.quota.resetsAt },
+          userMessage: 'You have used up your AI searches for now. Regular search still works.'
+        });
+      }
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Answer a question in prose, citing the records it came from
+  ask = async (req, res) => {
+    const method = 'ask';
+    debugLog(method, '=== ❓ ASK STARTED ===');
+    
+    try {
+      const { question } = req.body;
+      debugLog(method, `User asked: "${question}"`);
+      
+      // Answers need the AI, so there is nothing to degrade to once the quota is used up
+      const quota = await usageService.checkQuota(req.user._id);
+      if (!quota.allowed) {
+        const quotaError = usageService.quotaError(quota);
+        return res.status(quotaError.statusCode).json({
+          success: false,
+          error: quotaError.message,
+          quota: { exceeded: quota.exceeded, resetsAt: quota.resetsAt },
+          userMessage: 'You have used up your AI answers for now. Regular search still works.'
+        });
+      }
+      
+      const nothingFound = {
+        success: true,
+        data: {
+          question,
+          answered: false,
+          answer: ASK_DEFAULTS.NO_ANSWER,
+          citations: [],
+          records: []
+        }
+      };
+      
+      // Same retrieval as search, just fewer records
+      const hybrid = await hybridSearchService.search(question, req.user._id, {
+        limit: ASK_DEFAULTS.CONTEXT_RECORDS
+      });
+      const evidence = hybrid.results.map(r => r.record);
+      
+      if (evidence.length === 0) {
+        debugLog(method, 'No records to answer from');
+        return res.status(HTTP_STATUS.OK).json(nothingFound);
+      }
+      
+      const result = await geminiService.answerQuestion(question, evidence, { userId: req.user._id });
+      
+      if (!result) {
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          success: false,
+          error: ERROR_MESSAGES.SERVICE_UNAVAILABLE,
+          userMessage: "I couldn't think that through right now. Try a regular search instead."
+        });
+      }
+      
+      if (!result.answerable) {
+        debugLog(method, 'Records did not support an answer');
+        return res.status(HTTP_STATUS.OK).json(nothingFound);
+      }
+      
+      const citedRecords = result.citedRecordIds
+        .map(id => evidence.find(r => r._id.toString() === id))
+        .filter(Boolean);
+      
+      debugLog(method, `✅ Answered with ${citedRecords.length} citations`);
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          question,
+          answered: true,
+          answer: result.answer,
+          citations: citedRecords.map(r => ({ id: r._id, title: r.title, type: r.type })),
+          records: citedRecords
+        }
+      });
+    } catch (error) {
+      if (error.name === 'QuerySyntaxError') {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: error.message,
+          position: error.position
+        });
+      }
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Search-as-you-type: titles, tags and recent queries by prefix (no Gemini)
+  suggest = async (req, res) => {
+    const method = 'suggest';
+    
+    try {
+      const { q = '' } = req.query;
+      const suggestions = await suggestService.suggest(req.user._id, q);
+      
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          q,
+          ...suggestions
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
 }
 
 module.exports = new SearchController();
@@ -0,0 +1,126 @@
+const Record = require('../models/Record');
+const SearchSession = require('../models/SearchSession');
+const { ERROR_MESSAGES, HTTP_STATUS, SESSION_DEFAULTS } = require('../utils/constants');
+
+class SearchSessionController {
+  // List the user's search sessions, most recently used first
+  async listSessions(req, res) {
+    const method = 'listSessions';
+
+    try {
+      const { page = 1, limit = SESSION_DEFAULTS.LIST_LIMIT } = req.query;
+      const skip = (page - 1) * limit;
+      const query = { user: req.user._id };
+
+      const sessions = await SearchSession.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await SearchSession.countDocuments(query);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => {
+            const lastTurn = session.turns[session.turns.length - 1];
+            return {
+              _id: session._id,
+              title: session.title,
+              turnCount: session.turns.length,
+              lastQuery: lastTurn ? lastTurn.query : null,
+              createdAt: session.createdAt,
+              updatedAt: session.updatedAt
+            };
+          }),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalSessions: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Resume a session: its turns plus the records from the latest turn
+  async getSession(req, res) {
+    const method = 'getSession';
+
+    try {
+      const session = await SearchSession.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!session) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.SESSION_NOT_FOUND
+        });
+      }
+
+      const lastTurn = session.turns[session.turns.length - 1];
+      const lastIds = lastTurn ? lastTurn.resultIds.map(id => id.toString()) : [];
+      const found = await Record.find({ _id: { $in: lastIds }, user: req.user._id });
+
+      // Keep the order they were shown in, skipping records deleted since
+      const records = lastIds
+        .map(id => found.find(r => r._id.toString() === id))
+        .filter(Boolean);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          session,
+          records,
+          count: records.length
+        }
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+
+  // Delete a session
+  async deleteSession(req, res) {
+    const method = 'deleteSession';
+
+    try {
+      const result = await SearchSession.deleteOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: ERROR_MESSAGES.SESSION_NOT_FOUND
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Search session deleted'
+      });
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  }
+}
+
+module.exports = new SearchSessionController();
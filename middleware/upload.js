@@ -1,5 +1,6 @@
 const multer = require('multer');
 const { FILE_LIMITS } = require('../utils/constants');
+const documentParser = require('../utils/documentParser');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -13,6 +14,12 @@ const fileFilter = (req, file, cb) => {
     ...FILE_LIMITS.ALLOWED_DOCUMENT_TYPES
   ];
 
+  // Markdown, CSV, EPUB etc. often arrive as application/octet-stream: go by the extension
+  if (FILE_LIMITS.GENERIC_MIME_TYPES.includes(file.mimetype || '')) {
+    const guessedType = documentParser.guessMimeType(file.originalname || '');
+    if (FILE_LIMITS.ALLOWED_DOCUMENT_TYPES.includes(guessedType)) file.mimetype = guessedType;
+  }
+
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { USAGE_DEFAULTS } = require('../utils/constants');
+
+// One document per AI provider attempt made on a user's behalf, including failed and timed-out ones
+const AiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // geminiService method that made the call, e.g. 'extractSummaryFromText'
+  purpose: {
+    type: String,
+    required: true
+  },
+
+  provider: String,
+  model: String,
+
+  inputChars: {
+    type: Number,
+    default: 0
+  },
+
+  outputChars: {
+    type: Number,
+    default: 0
+  },
+
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+
+  // Tokens were estimated from characters because the provider didn't report them
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+
+  // The call failed or timed out; its input still counts, the provider may have processed it
+  failed: {
+    type: Boolean,
+    default: false
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AiUsageSchema.index({ user: 1, createdAt: -1 });
+AiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: USAGE_DEFAULTS.RETENTION_DAYS * 24 * 60 * 60 });
+
+AiUsageSchema.methods.toJSON = function() {
+  const usage = this.toObject();
+  delete usage.__v;
+  return usage;
+};
+
+module.exports = mongoose.model('AiUsage', AiUsageSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Text of one page of an uploaded document, so search can say which page matched
+const DocumentPageSchema = new mongoose.Schema({
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Record',
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 1-based, as shown in PDF viewers
+  pageNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  text: {
+    type: String,
+    default: ''
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DocumentPageSchema.index({ record: 1, pageNumber: 1 }, { unique: true });
+DocumentPageSchema.index({ user: 1, record: 1 });
+DocumentPageSchema.index({ text: 'text' }, { name: 'PageTextIndex' });
+
+DocumentPageSchema.methods.toJSON = function() {
+  const page = this.toObject();
+  delete page.__v;
+  return page;
+};
+
+module.exports = mongoose.model('DocumentPage', DocumentPageSchema);
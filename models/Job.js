@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { JOB_DEFAULTS } = require('../utils/constants');
+
+// A unit of background work, claimed by one worker at a time
+const JobSchema = new mongoose.Schema({
+  // Which registered handler runs it, e.g. 'enrich-record'
+  type: {
+    type: String,
+    required: true
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: JOB_DEFAULTS.MAX_ATTEMPTS
+  },
+
+  // Not picked up before this time (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: JOB_DEFAULTS.COMPLETED_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Update updatedAt on save
+JobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+JobSchema.methods.toJSON = function() {
+  const job = this.toObject();
+  delete job.__v;
+  return job;
+};
+
+module.exports = mongoose.model('Job', JobSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Queries a user has searched for, one document per distinct query
+const QueryHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // As the user last typed it
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Query cannot exceed 500 characters']
+  },
+
+  // Lowercased, single-spaced - used for prefix matching and de-duplication
+  normalized: {
+    type: String,
+    required: true
+  },
+
+  count: {
+    type: Number,
+    default: 1
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+QueryHistorySchema.index({ user: 1, normalized: 1 }, { unique: true });
+QueryHistorySchema.index({ user: 1, lastUsedAt: -1 });
+
+QueryHistorySchema.methods.toJSON = function() {
+  const history = this.toObject();
+  delete history.__v;
+  return history;
+};
+
+module.exports = mongoose.model('QueryHistory', QueryHistorySchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { FUZZY_DEFAULTS } = require('../utils/constants');
+const { tokenize, ngrams } = require('../utils/helpers');
+const { detectInjection } = require('../utils/promptSafety');
 
 const RecordSchema = new mongoose.Schema({
   // User reference
@@ -24,6 +27,12 @@ const RecordSchema = new mongoose.Schema({
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
   
+  // Lowercased title for indexed prefix lookups (autocomplete)
+  titleLower: {
+    type: String,
+    select: false
+  },
+  
   // Content (for notes and links)
   content: {
     type: String,
@@ -48,6 +57,52 @@ const RecordSchema = new mongoose.Schema({
     default: ''
   },
   
+  // Which AI provider/model wrote geminiSummary (empty for fallback summaries)
+  summarySource: {
+    provider: String,
+    model: String,
+    generatedAt: Date
+  },
+  
+  // Text that tries to instruct the AI (prompt injection); flagged records are demoted in AI ranking
+  securityFlags: {
+    promptInjection: {
+      type: Boolean,
+      default: false
+    },
+    patterns: [String],
+    checkedAt: Date
+  },
+  
+  // Set while geminiSummary is a placeholder because the AI call failed, cleared by a real summary
+  aiFallback: {
+    reason: {
+      type: String,
+      enum: ['timeout', 'rate_limited', 'unavailable', 'circuit_open', 'quota_exceeded', 'error']
+    },
+    operation: String,
+    error: String,
+    at: Date
+  },
+  
+  // Full text pulled out of uploaded documents (PDF, DOCX, ...) by documentParser
+  extractedText: {
+    type: String,
+    default: ''
+  },
+  
+  // How extractedText was produced
+  document: {
+    parser: String, // documentParser result type: 'pdf', 'docx', 'txt', ...
+    extracted: Boolean,
+    pageCount: Number,
+    textLength: Number,
+    truncated: Boolean,
+    info: mongoose.Schema.Types.Mixed, // Parser metadata, e.g. PDF title/author
+    error: String,
+    parsedAt: Date
+  },
+  
   // File metadata
   metadata: {
     fileName: String,
@@ -58,15 +113,78 @@ const RecordSchema = new mongoose.Schema({
       width: Number,
       height: Number
     },
-    format: String
+    format: String,
+    chunkCount: Number // Chunks summarised for geminiSummary (1 = single call)
   },
   
+  // Summary of each chunk of long content (the map step behind geminiSummary), kept for retrieval.
+  // start/end are offsets into the summarised text; paged documents give page ranges instead.
+  summaryChunks: [{
+    _id: false,
+    index: Number,
+    start: Number,
+    end: Number,
+    firstPage: Number,
+    lastPage: Number,
+    summary: String
+  }],
+  
   // Tags for organization (optional)
   tags: [{
     type: String,
     trim: true
   }],
   
+  // Trigrams of the searchable text, for typo-tolerant candidate lookup
+  searchGrams: {
+    type: [String],
+    select: false
+  },
+  
+  // Vector embedding for semantic search (computed by embeddingService)
+  embedding: {
+    vector: {
+      type: [Number],
+      select: false
+    },
+    provider: String,
+    model: String,
+    dimensions: Number,
+    contentHash: String,
+    // Set (with no vector) when backfill skipped the record (no text) or gave up on it ('failed')
+    status: {
+      type: String,
+      enum: ['skipped', 'failed']
+    },
+    attempts: Number,
+    error: String,
+    updatedAt: Date
+  },
+  
+  // Background AI enrichment (summary, title, embedding) - see enrichmentService
+  // Records saved before the queue existed have no status and count as completed
+  enrichment: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed']
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    // The user chose this title, so enrichment must not replace it
+    titleLocked: {
+      type: Boolean,
+      default: false
+    },
+    attempts: Number,
+    error: String,
+    // Failed in a way another attempt can't fix (e.g. file too large), so bulk reanalyze leaves it alone
+    permanent: Boolean,
+    queuedAt: Date,
+    completedAt: Date
+  },
+  
   // Timestamps
   createdAt: {
     type: Date,
@@ -82,22 +200,30 @@ const RecordSchema = new mongoose.Schema({
 // Indexes for faster queries
 RecordSchema.index({ user: 1, createdAt: -1 });
 RecordSchema.index({ user: 1, type: 1 });
-RecordSchema.index({ title: 'text', geminiSummary: 'text', content: 'text' });
+RecordSchema.index({ user: 1, 'embedding.model': 1 });
+RecordSchema.index({ user: 1, titleLower: 1 });
+RecordSchema.index({ user: 1, tags: 1 });
+RecordSchema.index({ user: 1, searchGrams: 1 });
+RecordSchema.index({ user: 1, 'enrichment.status': 1 });
 
-// Enhanced text index for better search with weights
+// Text index for search with weights (MongoDB allows only one text index per collection)
 RecordSchema.index(
   { 
     title: 'text', 
     geminiSummary: 'text', 
     content: 'text',
-    tags: 'text'
+    tags: 'text',
+    extractedText: 'text',
+    'summaryChunks.summary': 'text'
   },
   {
     weights: {
       title: 10,
       geminiSummary: 5,
       content: 3,
-      tags: 7
+      tags: 7,
+      extractedText: 2,
+      'summaryChunks.summary': 3
     },
     name: 'SearchIndex'
   }
@@ -109,10 +235,62 @@ RecordSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the lowercased title in sync
+RecordSchema.pre('save', function(next) {
+  if (this.isModified('title') || !this.titleLower) {
+    this.titleLower = (this.title || '').toLowerCase();
+  }
+  next();
+});
+
+// Rebuild search grams when searchable text changes
+RecordSchema.pre('save', function(next) {
+  const fields = ['title', 'tags', 'geminiSummary', 'content', 'extractedText'];
+  if (fields.some(field => this.isModified(field)) || !this.searchGrams || this.searchGrams.length === 0) {
+    const text = [
+      this.title,
+      (this.tags || []).join(' '),
+      this.geminiSummary,
+      (this.content || '').substring(0, FUZZY_DEFAULTS.MAX_TEXT_LENGTH),
+      (this.extractedText || '').substring(0, FUZZY_DEFAULTS.MAX_TEXT_LENGTH)
+    ].join(' ');
+    const grams = new Set();
+    new Set(tokenize(text)).forEach(word => {
+      ngrams(word, FUZZY_DEFAULTS.GRAM_SIZE).forEach(gram => grams.add(gram));
+    });
+    this.searchGrams = [...grams];
+  }
+  next();
+});
+
+// Flag text that tries to give the AI instructions
+RecordSchema.pre('save', function(next) {
+  const fields = ['title', 'geminiSummary', 'content', 'extractedText'];
+  if (fields.some(field => this.isModified(field)) || !this.securityFlags?.checkedAt) {
+    const patterns = detectInjection(this.title, this.geminiSummary, this.content, this.extractedText);
+    this.securityFlags = {
+      promptInjection: patterns.length > 0,
+      patterns,
+      checkedAt: new Date()
+    };
+  }
+  next();
+});
+
+// Store the chunks behind a new summary (null when it came from a single call)
+RecordSchema.methods.setSummaryChunks = function(chunks) {
+  this.summaryChunks = chunks || [];
+  this.metadata.chunkCount = chunks ? chunks.length : 1;
+};
+
 // Remove sensitive fields from JSON response
 RecordSchema.methods.toJSON = function() {
   const record = this.toObject();
   delete record.__v;
+  if (record.embedding) delete record.embedding.vector;
+  delete record.titleLower;
+  delete record.searchGrams;
+  delete record.extractedText; // Can be huge; search highlights show the parts that matched
   return record;
 };
 
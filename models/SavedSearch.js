@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const SavedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // 'query' re-runs a natural-language search, 'filters' re-runs an advanced search
+  kind: {
+    type: String,
+    required: true,
+    enum: ['query', 'filters']
+  },
+
+  query: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Query cannot exceed 500 characters']
+  },
+
+  // Same fields POST /api/search/advanced accepts
+  filters: {
+    keywords: [String],
+    types: [String],
+    dateFrom: Date,
+    dateTo: Date,
+    tags: [String],
+    sortBy: String,
+    sortOrder: Number
+  },
+
+  // Show as a smart collection whose members are computed on every run
+  isCollection: {
+    type: Boolean,
+    default: false
+  },
+
+  // Ids from the last run, to report what changed since
+  cacheResults: {
+    type: Boolean,
+    default: true
+  },
+
+  lastResultIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Record'
+  }],
+
+  lastRunAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SavedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+SavedSearchSchema.index({ user: 1, isCollection: 1 });
+
+// Update updatedAt on save
+SavedSearchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+SavedSearchSchema.methods.toJSON = function() {
+  const savedSearch = this.toObject();
+  delete savedSearch.__v;
+  return savedSearch;
+};
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { ANALYTICS_DEFAULTS } = require('../utils/constants');
+
+// One document per /api/search or /api/search/advanced call
+const SearchEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  endpoint: {
+    type: String,
+    required: true,
+    enum: ['search', 'advanced']
+  },
+
+  // Query text for search, keywords for advanced
+  query: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Query cannot exceed 500 characters']
+  },
+
+  // Lowercased, single-spaced - what top queries are grouped by
+  normalized: {
+    type: String,
+    default: ''
+  },
+
+  // How results were produced: ranked by Gemini, a non-AI fallback, or advanced filters
+  path: {
+    type: String,
+    required: true,
+    enum: ['gemini', 'fallback', 'advanced']
+  },
+
+  searchType: String,
+  geminiStatus: String,
+
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+
+  latencyMs: Number,
+
+  // First results shown, so an open can be tied to a rank
+  resultIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Record'
+  }],
+
+  // The result the user went on to open
+  openedRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Record'
+  },
+  openedRank: Number,
+  openedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SearchEventSchema.index({ user: 1, createdAt: -1 });
+SearchEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: ANALYTICS_DEFAULTS.RETENTION_DAYS * 24 * 60 * 60 });
+
+SearchEventSchema.methods.toJSON = function() {
+  const event = this.toObject();
+  delete event.__v;
+  return event;
+};
+
+module.exports = mongoose.model('SearchEvent', SearchEventSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One query/response exchange within a session
+const TurnSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // What we actually searched for after reading the history
+  interpretedQuery: {
+    type: String,
+    trim: true
+  },
+
+  // 'all' or 'previous_results' (refinement of what was shown last)
+  scope: {
+    type: String,
+    enum: ['all', 'previous_results'],
+    default: 'all'
+  },
+
+  searchType: String,
+
+  resultIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Record'
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const SearchSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // First query of the session, used as a label in the session list
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  turns: [TurnSchema],
+
+  // Every record shown so far in this session
+  shownRecordIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Record'
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SearchSessionSchema.index({ user: 1, updatedAt: -1 });
+
+// Update updatedAt on save
+SearchSessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+SearchSessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.__v;
+  return session;
+};
+
+module.exports = mongoose.model('SearchSession', SearchSessionSchema);
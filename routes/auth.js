@@ -30,5 +30,6 @@ router.post('/login', validate(authValidators.login), authController.login);
 // Protected routes
 router.post('/logout', auth, authController.logout);
 router.get('/profile', auth, authController.getProfile);
+router.get('/usage', auth, authController.getUsage);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const Record = require('../models/Record');
 const { auth } = require('../middleware/auth');
 const { processUpload } = require('../middleware/upload');
 const recordController = require('../controllers/recordController');
 const { recordValidators } = require('../utils/validators');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../utils/constants');
 const { validationResult } = require('express-validator');
 
 // Validation middleware
@@ -30,9 +32,30 @@ router.use(auth);
 // GET /api/records - Get all records
 router.get('/', recordController.getAllRecords);
 
+// GET /api/records/enrichment - Enrichment status for ?ids= or all unfinished records
+router.get(
+  '/enrichment',
+  validate(recordValidators.enrichmentList),
+  recordController.listEnrichmentStatus
+);
+
 // GET /api/records/:id - Get single record
 router.get('/:id', recordController.getRecord);
 
+// GET /api/records/:id/enrichment - Background enrichment status
+router.get(
+  '/:id/enrichment',
+  validate(recordValidators.enrichment),
+  recordController.getEnrichmentStatus
+);
+
+// GET /api/records/:id/related - Similar records to show alongside this one
+router.get(
+  '/:id/related',
+  validate(recordValidators.related),
+  recordController.getRelatedRecords
+);
+
 // POST /api/records - Create new record (with file upload)
 router.post(
   '/',
@@ -41,6 +64,20 @@ router.post(
   recordController.createRecord
 );
 
+// POST /api/records/reanalyze - Reanalyze ids, or every record with a fallback summary
+router.post(
+  '/reanalyze',
+  validate(recordValidators.reanalyzeBulk),
+  recordController.reanalyzeRecords
+);
+
+// POST /api/records/:id/reanalyze - Re-run summary and title analysis
+router.post(
+  '/:id/reanalyze',
+  validate(recordValidators.reanalyze),
+  recordController.reanalyzeRecord
+);
+
 // POST /api/records/text - Create text-only record (notes/links without files)
 router.post(
   '/text',
@@ -60,8 +97,8 @@ router.delete('/:id', recordController.deleteRecord);
 
 
 
-// GET /api/records/:id/download - Download original file
-router.get('/:id/download', auth, async (req, res) => {
+// GET /api/records/:id/download - Download original file (?page=N opens a PDF at that page)
+router.get('/:id/download', auth, validate(recordValidators.download), async (req, res) => {
   try {
     const record = await Record.findOne({
       _id: req.params.id,
@@ -82,6 +119,20 @@ router.get('/:id/download', auth, async (req, res) => {
       return res.send(record.content);
     }
     
+    // Deep link from a page hit: open the file inline at that page instead of downloading it
+    if (record.fileUrl && req.query.page) {
+      const pageCount = record.document && record.document.pageCount;
+      if (!pageCount || req.query.page > pageCount) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: ERROR_MESSAGES.PAGE_OUT_OF_RANGE
+        });
+      }
+      const pageUrl = new URL(record.fileUrl);
+      pageUrl.hash = `page=${req.query.page}`;
+      return res.redirect(pageUrl.toString());
+    }
+    
     // For files, redirect to Cloudinary URL with download parameter
     if (record.fileUrl) {
       // Add download parameter to force download
@@ -2,7 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
 const searchController = require('../controllers/searchController');
-const { searchValidators } = require('../utils/validators');
+const searchSessionController = require('../controllers/searchSessionController');
+const savedSearchController = require('../controllers/savedSearchController');
+const searchAnalyticsController = require('../controllers/searchAnalyticsController');
+const { searchValidators, savedSearchValidators, searchAnalyticsValidators } = require('../utils/validators');
 const { validationResult } = require('express-validator');
 
 // Validation middleware
@@ -33,6 +36,13 @@ router.post(
   searchController.search  // Changed from naturalSearch to search
 );
 
+// GET /api/search/suggest?q= - Autocomplete (own rate limit, see server.js)
+router.get(
+  '/suggest',
+  validate(searchValidators.suggest),
+  searchController.suggest
+);
+
 // POST /api/search/advanced - Advanced search with filters
 router.post(
   '/advanced',
@@ -40,4 +50,87 @@ router.post(
   searchController.advancedSearch
 );
 
+// POST /api/search/semantic - Vector similarity search (top-k)
+router.post(
+  '/semantic',
+  validate(searchValidators.semantic),
+  searchController.semanticSearch
+);
+
+// POST /api/search/ask - Answer a question from your records, with citations
+router.post(
+  '/ask',
+  validate(searchValidators.ask),
+  searchController.ask
+);
+
+// GET /api/search/sessions - List conversational search sessions
+router.get(
+  '/sessions',
+  validate(searchValidators.listSessions),
+  searchSessionController.listSessions
+);
+
+// GET /api/search/sessions/:id - Resume a session
+router.get(
+  '/sessions/:id',
+  validate(searchValidators.session),
+  searchSessionController.getSession
+);
+
+// DELETE /api/search/sessions/:id - Delete a session
+router.delete(
+  '/sessions/:id',
+  validate(searchValidators.session),
+  searchSessionController.deleteSession
+);
+
+// POST /api/search/saved - Save a query or filter set under a name
+router.post(
+  '/saved',
+  validate(savedSearchValidators.create),
+  savedSearchController.createSavedSearch
+);
+
+// GET /api/search/saved - List saved searches
+router.get('/saved', savedSearchController.listSavedSearches);
+
+// GET /api/search/saved/:id - Re-run a saved search (with changes since last run)
+router.get(
+  '/saved/:id',
+  validate(savedSearchValidators.id),
+  savedSearchController.runSavedSearch
+);
+
+// PUT /api/search/saved/:id - Update a saved search
+router.put(
+  '/saved/:id',
+  validate(savedSearchValidators.update),
+  savedSearchController.updateSavedSearch
+);
+
+// DELETE /api/search/saved/:id - Delete a saved search
+router.delete(
+  '/saved/:id',
+  validate(savedSearchValidators.id),
+  savedSearchController.deleteSavedSearch
+);
+
+// GET /api/search/collections - Smart collections with live member counts
+router.get('/collections', savedSearchController.listCollections);
+
+// POST /api/search/events/:id/open - Record which result a search led to
+router.post(
+  '/events/:id/open',
+  validate(searchAnalyticsValidators.open),
+  searchAnalyticsController.recordOpen
+);
+
+// GET /api/search/analytics?scope=me|all&days= - Top and zero-result queries, Gemini fallback rate
+router.get(
+  '/analytics',
+  validate(searchAnalyticsValidators.summary),
+  searchAnalyticsController.getAnalytics
+);
+
 module.exports = router;
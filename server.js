@@ -14,6 +14,13 @@ const recordRoutes = require('./routes/records');
 const searchRoutes = require('./routes/search');
 const uploadRoutes = require('./routes/upload');
 
+// AI provider state is reported by the health check
+const geminiService = require('./services/geminiService');
+
+// Background jobs (the enrichment service registers its handler on load)
+const jobQueue = require('./services/jobQueue');
+require('./services/enrichmentService');
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 10000; // ⚠️ Changed from 3001 to 10000 to match Render logs
@@ -76,6 +83,20 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(morgan('dev'));
 
 // ========== RATE LIMITING (FIXED) ==========
+// Ensure CORS headers are sent even on rate limit errors
+const rateLimitHandler = (req, res, next, options) => {
+  const origin = req.headers.origin;
+  if (allowedOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  
+  res.status(options.statusCode).json({
+    success: false,
+    message: options.message
+  });
+};
+
 // Create rate limiters with proper CORS handling
 const apiLimiter = rateLimit({
   windowMs: process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000,
@@ -84,35 +105,38 @@ const apiLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skipFailedRequests: false,
-  handler: (req, res, next, options) => {
-    // Ensure CORS headers are sent even on rate limit errors
-    const origin = req.headers.origin;
-    if (allowedOrigins.includes(origin)) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-    }
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    res.status(options.statusCode).json({
-      success: false,
-      message: options.message
-    });
-  }
+  // Autocomplete fires on every keystroke, so it has its own bucket below
+  skip: (req) => req.originalUrl.startsWith('/api/search/suggest'),
+  handler: rateLimitHandler
+});
+
+const suggestLimiter = rateLimit({
+  windowMs: process.env.SUGGEST_RATE_LIMIT_WINDOW_MS || 60 * 1000,
+  max: process.env.SUGGEST_RATE_LIMIT_MAX_REQUESTS || 120,
+  message: 'Too many suggestion requests, please slow down.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler
 });
 
 // Apply rate limiting to API routes only, not health check
 app.use('/api/auth', apiLimiter);
 app.use('/api/records', apiLimiter);
+app.use('/api/search/suggest', suggestLimiter);
 app.use('/api/search', apiLimiter);
 app.use('/api/upload', apiLimiter);
 
 // ========== HEALTH CHECK (NO RATE LIMIT) ==========
 app.get('/api/health', (req, res) => {
+  // Still 200 when AI is degraded: the API works (with fallbacks), so the host shouldn't restart it
+  const ai = geminiService.getHealth();
   res.json({ 
-    status: 'OK', 
+    status: ai.status === 'ok' ? 'OK' : 'DEGRADED', 
     timestamp: new Date().toISOString(),
     service: 'Keepson Backend API',
     environment: process.env.NODE_ENV || 'development',
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    ai
   });
 });
 
@@ -161,6 +185,12 @@ app.use(errorHandler);
 const startServer = async () => {
   try {
     await connectDB();
+    
+    // JOB_WORKERS=false leaves queued jobs for another instance to run
+    if (process.env.JOB_WORKERS !== 'false') {
+      jobQueue.start();
+    }
+    
     app.listen(PORT, '0.0.0.0', () => { // ⚠️ Added '0.0.0.0' for Render
       console.log('='.repeat(60));
       console.log(`🚀 Keepson Backend API`);
@@ -178,6 +208,14 @@ const startServer = async () => {
 
 startServer();
 
+// Stop taking new jobs on shutdown and let running ones finish (up to a deadline);
+// jobs still running at the deadline are picked up again after their lock expires
+process.on('SIGTERM', async () => {
+  const finished = await jobQueue.stop();
+  if (!finished) console.log('⚠️ Shutting down with background jobs still running');
+  process.exit(0);
+});
+
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
   console.error('❌ Uncaught Exception:', error);
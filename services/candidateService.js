@@ -0,0 +1,116 @@
+const Record = require('../models/Record');
+const { GEMINI_SEARCH_LIMITS } = require('../utils/constants');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [CandidateService.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [CandidateService.${method}] Data:`, data);
+}
+
+// Fields Gemini needs to rank a record
+const CATALOG_FIELDS = '_id user title geminiSummary content type tags createdAt securityFlags';
+
+class CandidateService {
+  // === Narrow an account down to a bounded set of records worth ranking ===
+  async selectCandidates(userId, query, options = {}) {
+    const method = 'selectCandidates';
+    const {
+      filterQuery = {}, // Date/type conditions parsed from the query
+      ids = null, // Restrict to these records (e.g. refining earlier results)
+      maxCandidates = GEMINI_SEARCH_LIMITS.MAX_CANDIDATES
+    } = options;
+
+    const scope = { ...filterQuery, user: userId };
+    if (ids) scope._id = { $in: ids };
+
+    const total = await Record.countDocuments(scope);
+
+    // Small accounts: everything fits, nothing to narrow
+    if (total <= maxCandidates) {
+      const candidates = await Record.find(scope).select(CATALOG_FIELDS);
+      return this.summarize(candidates, total, ['all']);
+    }
+
+    const baseQuery = { ...scope };
+
+    const selected = new Map();
+    const strategies = [];
+    const add = (records, strategy) => {
+      let added = 0;
+      for (const record of records) {
+        if (selected.size >= maxCandidates) break;
+        const id = record._id.toString();
+        if (!selected.has(id)) {
+          selected.set(id, record);
+          added++;
+        }
+      }
+      if (added > 0) strategies.push(strategy);
+    };
+
+    // 1. Records tagged with a word from the query
+    const tagMatches = await this.findTagMatches(userId, query, baseQuery);
+    add(tagMatches, 'tags');
+
+    // 2. Text index matches, best first
+    const textMatches = await this.findTextMatches(query, baseQuery);
+    add(textMatches, 'text');
+
+    // 3. Fill whatever room is left with the most recent records
+    if (selected.size < maxCandidates) {
+      const recent = await Record.find({
+        ...baseQuery,
+        _id: { ...baseQuery._id, $nin: [...selected.keys()] }
+      })
+        .sort({ createdAt: -1 })
+        .limit(maxCandidates - selected.size)
+        .select(CATALOG_FIELDS);
+      add(recent, 'recent');
+    }
+
+    debugLog(method, `Selected ${selected.size}/${total} candidates via ${strategies.join(', ')}`);
+    return this.summarize([...selected.values()], total, strategies);
+  }
+
+  async findTagMatches(userId, query, baseQuery) {
+    const words = query.toLowerCase().split(/\s+/).filter(w => w.length > 2);
+    if (words.length === 0) return [];
+
+    const userTags = await Record.distinct('tags', { user: userId });
+    const matchedTags = userTags.filter(tag => words.includes(tag.toLowerCase()));
+    if (matchedTags.length === 0) return [];
+
+    return Record.find({ ...baseQuery, tags: { $in: matchedTags } })
+      .sort({ createdAt: -1 })
+      .limit(GEMINI_SEARCH_LIMITS.TAG_MATCH_LIMIT)
+      .select(CATALOG_FIELDS);
+  }
+
+  async findTextMatches(query, baseQuery) {
+    try {
+      return await Record.find(
+        { ...baseQuery, $text: { $search: query } },
+        { score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(GEMINI_SEARCH_LIMITS.TEXT_MATCH_LIMIT)
+        .select(CATALOG_FIELDS);
+    } catch (error) {
+      // Missing text index shouldn't take search down
+      console.error('[findTextMatches] ERROR:', error.message);
+      return [];
+    }
+  }
+
+  summarize(candidates, total, strategies) {
+    return {
+      candidates,
+      considered: candidates.length,
+      skipped: Math.max(0, total - candidates.length),
+      total,
+      strategies
+    };
+  }
+}
+
+module.exports = new CandidateService();
@@ -0,0 +1,104 @@
+const DocumentPage = require('../models/DocumentPage');
+const Record = require('../models/Record');
+const highlightService = require('./highlightService');
+const { PAGE_INDEX_DEFAULTS } = require('../utils/constants');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [DocumentPages.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [DocumentPages.${method}] Data:`, data);
+}
+
+class DocumentPageService {
+  // === Replace a record's page index with freshly extracted pages ===
+  // pages: [{ number, text }] from documentParser
+  async replacePages(record, pages = []) {
+    const method = 'replacePages';
+
+    await DocumentPage.deleteMany({ record: record._id });
+    const docs = pages
+      .filter(page => page.text)
+      .map(page => ({
+        record: record._id,
+        user: record.user,
+        pageNumber: page.number,
+        text: page.text
+      }));
+
+    if (docs.length > 0) {
+      await DocumentPage.insertMany(docs, { ordered: false });
+    }
+    debugLog(method, `Indexed ${docs.length} page(s) of ${record._id}`);
+    return docs.length;
+  }
+
+  async deleteForRecord(recordId) {
+    return DocumentPage.deleteMany({ record: recordId });
+  }
+
+  // === Best matching pages of each record, keyed by record id ===
+  // Each hit: { page, pageCount, label: 'page 14 of Contract.pdf', downloadUrl, snippet, highlighted, matches, matchCount }
+  async findPageHits(userId, recordIds, terms) {
+    const method = 'findPageHits';
+    if (recordIds.length === 0 || terms.length === 0) return {};
+
+    try {
+      const pages = await DocumentPage.find(
+        {
+          user: userId,
+          record: { $in: recordIds },
+          $text: { $search: terms.join(' ') }
+        },
+        { score: { $meta: 'textScore' }, record: 1, pageNumber: 1, text: 1 }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(recordIds.length * PAGE_INDEX_DEFAULTS.MAX_HITS_PER_RECORD * 2)
+        .lean();
+
+      if (pages.length === 0) return {};
+
+      const records = await Record.find({ _id: { $in: [...new Set(pages.map(p => p.record.toString()))] } })
+        .select('title metadata.fileName document.pageCount')
+        .lean();
+      const recordsById = new Map(records.map(record => [record._id.toString(), record]));
+
+      const hits = {};
+      pages.forEach(page => {
+        const recordId = page.record.toString();
+        const record = recordsById.get(recordId);
+        if (!record) return;
+
+        hits[recordId] = hits[recordId] || [];
+        if (hits[recordId].length >= PAGE_INDEX_DEFAULTS.MAX_HITS_PER_RECORD) return;
+
+        // $text matches word stems; only pages where a term is actually visible get a snippet
+        const matches = highlightService.findMatches(page.text, terms);
+        if (matches.length === 0) return;
+
+        hits[recordId].push({
+          page: page.pageNumber,
+          pageCount: record.document && record.document.pageCount,
+          label: this.label(record, page.pageNumber),
+          downloadUrl: `/api/records/${recordId}/download?page=${page.pageNumber}`,
+          ...highlightService.buildSnippet(page.text, matches)
+        });
+      });
+
+      Object.keys(hits).forEach(recordId => {
+        if (hits[recordId].length === 0) delete hits[recordId];
+      });
+      return hits;
+    } catch (error) {
+      // Page hits are extra detail; the search results stand without them
+      console.error(`[${method}] ERROR:`, error.message);
+      return {};
+    }
+  }
+
+  label(record, pageNumber) {
+    const name = (record.metadata && record.metadata.fileName) || record.title;
+    return `page ${pageNumber} of ${name}`;
+  }
+}
+
+module.exports = new DocumentPageService();
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const Record = require('../models/Record');
+const geminiService = require('./geminiService');
+const { EMBEDDING_DEFAULTS } = require('../utils/constants');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [EmbeddingService.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [EmbeddingService.${method}] Data:`, data);
+}
+
+// Scale a vector to unit length so cosine similarity is a dot product
+const normalize = (vector) => {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return length > 0 ? vector.map(v => v / length) : vector;
+};
+
+// === PROVIDER: deterministic local embeddings (tests, offline, no API key) ===
+// Hashed bag of words + bigrams: same text always gives the same vector
+class LocalEmbeddingProvider {
+  constructor(dimensions = EMBEDDING_DEFAULTS.LOCAL_DIMENSIONS) {
+    this.name = 'local';
+    this.model = `hashed-bow-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+    const features = [
+      ...words,
+      ...words.slice(1).map((word, i) => `${words[i]} ${word}`)
+    ];
+
+    features.forEach(feature => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32BE(0) % this.dimensions;
+      vector[index] += (hash[4] & 1) ? 1 : -1;
+    });
+
+    return normalize(vector);
+  }
+}
+
+// === PROVIDER: Gemini embedding model ===
+class GeminiEmbeddingProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.model = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    this.embeddingModel = this.genAI.getGenerativeModel({ model: this.model });
+  }
+
+  async embed(text) {
+    const result = await this.embeddingModel.embedContent(text);
+    return normalize(result.embedding.values);
+  }
+}
+
+class EmbeddingService {
+  constructor() {
+    this.backfilling = new Set(); // Users with a backfill running in this process
+
+    // Register extra providers with registerProvider(name, factory)
+    this.providers = {
+      local: () => new LocalEmbeddingProvider(),
+      gemini: () => new GeminiEmbeddingProvider()
+    };
+
+    const defaultProvider = process.env.NODE_ENV === 'test' ? 'local' : 'gemini';
+    this.useProvider(process.env.EMBEDDING_PROVIDER || defaultProvider);
+  }
+
+  registerProvider(name, factory) {
+    this.providers[name] = factory;
+  }
+
+  useProvider(name) {
+    if (!this.providers[name]) {
+      throw new Error(`Unknown embedding provider: ${name}`);
+    }
+    this.provider = this.providers[name]();
+    console.log(`Embedding provider: ${this.provider.name} (${this.provider.model})`);
+    return this.provider;
+  }
+
+  // === Text that represents a record in vector space ===
+  buildEmbeddingText(record) {
+    return [
+      record.title,
+      record.geminiSummary,
+      (record.content || record.extractedText || '').substring(0, EMBEDDING_DEFAULTS.MAX_TEXT_LENGTH),
+      (record.tags || []).join(', ')
+    ]
+      .filter(Boolean)
+      .join('\n')
+      .substring(0, EMBEDDING_DEFAULTS.MAX_TEXT_LENGTH);
+  }
+
+  // Hash covers the text and the model, so switching providers also marks records stale
+  hashContent(text) {
+    return crypto
+      .createHash('sha256')
+      .update(`${this.provider.name}:${this.provider.model}:${text}`)
+      .digest('hex');
+  }
+
+  isStale(record) {
+    const text = this.buildEmbeddingText(record);
+    return !record.embedding?.contentHash || record.embedding.contentHash !== this.hashContent(text);
+  }
+
+  // === Every embedding call goes through geminiService.callProvider ===
+  // Same quota, circuit breaker, timeout, retries and metering (failed calls too) as the other AI calls
+  async embedText(text, { userId = null, purpose }) {
+    const { data: vector } = await geminiService.callProvider(
+      purpose,
+      async () => ({ text: '', data: await this.provider.embed(text), model: this.provider.model }),
+      { userId, prompt: text, provider: this.provider }
+    );
+    return vector;
+  }
+
+  // === Compute (or refresh) a record's embedding. Does not save the record. ===
+  // Metered against the record's owner
+  async embedRecord(record, options = {}) {
+    const method = 'embedRecord';
+    const { force = false } = options;
+
+    if (!force && !this.isStale(record)) {
+      return false;
+    }
+
+    const text = this.buildEmbeddingText(record);
+    if (!text.trim()) return false;
+
+    const vector = await this.embedText(text, { userId: record.user, purpose: 'embedRecord' });
+    record.embedding = {
+      vector,
+      provider: this.provider.name,
+      model: this.provider.model,
+      dimensions: vector.length,
+      contentHash: this.hashContent(text),
+      updatedAt: new Date()
+    };
+
+    debugLog(method, `Embedded record ${record._id} (${vector.length} dims, ${this.provider.model})`);
+    return true;
+  }
+
+  async embedQuery(query, userId = null) {
+    return this.embedText(query, { userId, purpose: 'embedQuery' });
+  }
+
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
+  // === Top-k records by vector similarity ===
+  // Compares the MAX_SCAN most recent vectors; older records are left to the other search modes
+  async findSimilar(userId, query, options = {}) {
+    const {
+      limit = EMBEDDING_DEFAULTS.TOP_K,
+      minSimilarity = EMBEDDING_DEFAULTS.MIN_SIMILARITY
+    } = options;
+
+    const queryVector = await this.embedQuery(query, userId);
+
+    // Only compare against vectors from the current model (skipped/failed records have none)
+    const indexed = {
+      user: userId,
+      'embedding.model': this.provider.model,
+      'embedding.status': { $exists: false }
+    };
+    const candidates = await Record.find(indexed)
+      .sort({ createdAt: -1 })
+      .limit(EMBEDDING_DEFAULTS.MAX_SCAN)
+      .select('_id embedding.vector');
+
+    const scored = candidates
+      .map(c => ({ id: c._id.toString(), similarity: this.cosineSimilarity(queryVector, c.embedding.vector) }))
+      .filter(c => c.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+
+    const records = await Record.find({
+      _id: { $in: scored.map(s => s.id) },
+      user: userId
+    });
+
+    const results = scored
+      .map(s => ({
+        record: records.find(r => r._id.toString() === s.id),
+        similarity: Number(s.similarity.toFixed(4))
+      }))
+      .filter(r => r.record);
+
+    return {
+      results,
+      indexedCount: candidates.length < EMBEDDING_DEFAULTS.MAX_SCAN ? candidates.length : await Record.countDocuments(indexed),
+      scannedCount: candidates.length,
+      pendingCount: await Record.countDocuments(this.backfillQuery(userId))
+    };
+  }
+
+  // === Records closest to another record, from stored vectors only (no embedding call) ===
+  // Returns a Map of record id -> similarity; empty if the record has no vector yet
+  async similarToRecord(recordId, userId) {
+    const record = await Record.findOne({ _id: recordId, user: userId }).select('embedding');
+    if (!record || !record.embedding || !record.embedding.vector || record.embedding.vector.length === 0) {
+      return new Map();
+    }
+
+    const others = await Record.find({
+      user: userId,
+      _id: { $ne: record._id },
+      'embedding.model': record.embedding.model
+    })
+      .sort({ createdAt: -1 })
+      .limit(EMBEDDING_DEFAULTS.MAX_SCAN)
+      .select('_id embedding.vector');
+
+    return new Map(others.map(other => [
+      other._id.toString(),
+      this.cosineSimilarity(record.embedding.vector, other.embedding.vector)
+    ]));
+  }
+
+  // Records backfill still has to embed: skipped and failed ones carry the current model
+  backfillQuery(userId) {
+    return {
+      user: userId,
+      'embedding.model': { $ne: this.provider.model }
+    };
+  }
+
+  // Marks the record with the current model and no vector, so backfill stops picking it
+  async markUnembedded(recordId, status, { attempts = 0, error } = {}) {
+    await Record.updateOne({ _id: recordId }, {
+      $set: {
+        embedding: {
+          provider: this.provider.name,
+          model: this.provider.model,
+          status,
+          attempts,
+          error,
+          updatedAt: new Date()
+        }
+      }
+    });
+  }
+
+  // === Embed records that are missing a current vector (a batch at a time) ===
+  // One backfill per user at a time; records that keep failing go to the back, then out
+  async backfill(userId, batchSize = EMBEDDING_DEFAULTS.BACKFILL_BATCH) {
+    const method = 'backfill';
+    const key = userId.toString();
+    if (this.backfilling.has(key)) {
+      debugLog(method, `Backfill already running for user ${userId}`);
+      return 0;
+    }
+    this.backfilling.add(key);
+
+    try {
+      const records = await Record.find(this.backfillQuery(userId))
+        .sort({ 'embedding.attempts': 1, createdAt: -1 })
+        .limit(batchSize);
+
+      let embedded = 0;
+      for (const record of records) {
+        try {
+          if (await this.embedRecord(record)) {
+            await record.save();
+            embedded++;
+          } else {
+            await this.markUnembedded(record._id, 'skipped'); // No text to embed
+          }
+        } catch (error) {
+          console.error(`[${method}] ERROR for ${record._id}:`, error.message);
+          // Not the record's fault, and the rest of the batch would fail the same way
+          if (error.code === 'QUOTA_EXCEEDED') break;
+
+          const attempts = ((record.embedding && record.embedding.attempts) || 0) + 1;
+          if (attempts >= EMBEDDING_DEFAULTS.BACKFILL_MAX_ATTEMPTS) {
+            await this.markUnembedded(record._id, 'failed', { attempts, error: error.message });
+          } else {
+            await Record.updateOne({ _id: record._id }, {
+              $set: { 'embedding.attempts': attempts, 'embedding.error': error.message }
+            });
+          }
+        }
+      }
+
+      debugLog(method, `Embedded ${embedded}/${records.length} records for user ${userId}`);
+      return embedded;
+    } finally {
+      this.backfilling.delete(key);
+    }
+  }
+}
+
+module.exports = new EmbeddingService();
+module.exports.LocalEmbeddingProvider = LocalEmbeddingProvider;
+module.exports.GeminiEmbeddingProvider = GeminiEmbeddingProvider;
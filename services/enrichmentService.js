@@ -0,0 +1,498 @@
+const Record = require('../models/Record');
+const Job = require('../models/Job');
+const geminiService = require('./geminiService');
+const embeddingService = require('./embeddingService');
+const jobQueue = require('./jobQueue');
+const documentPageService = require('./documentPageService');
+const documentParser = require('../utils/documentParser');
+const { ENRICHMENT_STATUS, DOCUMENT_DEFAULTS, FILE_LIMITS } = require('../utils/constants');
+
+const ENRICH_JOB = 'enrich-record';
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [Enrichment.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [Enrichment.${method}] Data:`, data);
+}
+
+// Titles like "Photo 2024-12-12" or "Note December 12" that Gemini should replace
+const GENERIC_TITLE_WORDS = [
+  'photo', 'image', 'picture', 'img',
+  'note', 'document', 'doc', 'text',
+  'audio', 'sound', 'recording',
+  'video', 'movie', 'clip',
+  'link', 'url', 'website'
+];
+const DATE_IN_TITLE = /\d{4}[-/]\d{2}[-/]\d{2}|(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)/i;
+
+const DOCUMENT_MIME_HINTS = ['document', 'pdf', 'msword', 'presentation', 'spreadsheet', 'markdown', 'html', 'csv', 'rtf', 'epub', 'json'];
+
+// Summaries written when Gemini failed (by geminiService, the old inline code or this service)
+const FALLBACK_SUMMARY_PATTERNS = [
+  /^An image was uploaded$/,
+  /^Image uploaded - contains visual interface elements$/,
+  /^A (audio|video) recording$/,
+  /^(Audio|Video|Image) file uploaded$/,
+  /^A (note|link|document) about [\s\S]*\.\.\.$/,
+  /^Note content saved$/,
+  /^Link saved$/,
+  /^Content analysis completed$/,
+  /^Text file: /,
+  /^Text file uploaded - content extraction failed$/,
+  /^[\w.+-]+ document uploaded: /,
+  /^Document uploaded: /
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+class EnrichmentService {
+  constructor() {
+    jobQueue.registerHandler(
+      ENRICH_JOB,
+      (payload, job) => this.enrichRecord(payload.recordId, { retitle: payload.retitle !== false, jobId: job._id }),
+      { onFailed: (payload, job, error) => this.markFailed(payload.recordId, error) }
+    );
+  }
+
+  // === Mark a new (unsaved) record as pending and create its job ===
+  // Save the record first, then pass the job to queue() so the worker always finds it
+  prepare(record, { titleLocked = false } = {}) {
+    const job = new Job({ type: ENRICH_JOB, payload: { recordId: record._id.toString() } });
+    record.enrichment = {
+      status: ENRICHMENT_STATUS.PENDING,
+      jobId: job._id,
+      titleLocked,
+      attempts: 0,
+      queuedAt: new Date()
+    };
+    return job;
+  }
+
+  async queue(job) {
+    return jobQueue.enqueue(ENRICH_JOB, job.payload, { job });
+  }
+
+  // === Run enrichment again for an existing record (reanalyze) ===
+  // retitle: false keeps the current title even if it isn't locked
+  async requeue(record, { retitle = true } = {}) {
+    const job = new Job({
+      type: ENRICH_JOB,
+      payload: { recordId: record._id.toString(), retitle }
+    });
+
+    record.enrichment.status = ENRICHMENT_STATUS.PENDING;
+    record.enrichment.jobId = job._id;
+    record.enrichment.attempts = 0;
+    record.enrichment.error = undefined;
+    record.enrichment.permanent = undefined;
+    record.enrichment.queuedAt = new Date();
+    record.enrichment.completedAt = undefined;
+    await record.save();
+
+    await this.queue(job);
+    return job;
+  }
+
+  isInProgress(record) {
+    const status = record.enrichment && record.enrichment.status;
+    return status === ENRICHMENT_STATUS.PENDING || status === ENRICHMENT_STATUS.PROCESSING;
+  }
+
+  isFallbackSummary(summary) {
+    if (!summary || !summary.trim()) return true;
+    return FALLBACK_SUMMARY_PATTERNS.some(pattern => pattern.test(summary.trim()));
+  }
+
+  // Mongo condition matching records whose summary is missing or a known fallback
+  fallbackSummaryQuery() {
+    return {
+      $or: [
+        { geminiSummary: { $in: ['', null] } },
+        { 'aiFallback.reason': { $exists: true } },
+        ...FALLBACK_SUMMARY_PATTERNS.map(pattern => ({ geminiSummary: pattern }))
+      ]
+    };
+  }
+
+  // === JOB HANDLER: fill in the summary, title and embedding ===
+  // Throwing lets the queue retry with backoff
+  async enrichRecord(recordId, { retitle = true, jobId = null } = {}) {
+    const method = 'enrichRecord';
+
+    const record = await Record.findById(recordId);
+    if (!record) {
+      debugLog(method, `Record ${recordId} was deleted before enrichment, skipping`);
+      return;
+    }
+
+    record.enrichment.status = ENRICHMENT_STATUS.PROCESSING;
+    record.enrichment.attempts = (record.enrichment.attempts || 0) + 1;
+    await Record.updateOne({ _id: record._id }, {
+      'enrichment.status': record.enrichment.status,
+      'enrichment.attempts': record.enrichment.attempts
+    });
+
+    let analysis;
+    try {
+      analysis = await this.analyze(record);
+      // Gemini failing quietly is worth a retry, not a permanent fallback summary
+      if (analysis.analyzed && (analysis.fallback || this.isFallbackSummary(analysis.summary))) {
+        const reason = analysis.fallback ? ` (${analysis.fallback.reason})` : '';
+        const fallbackError = new Error(`Analysis returned a fallback summary${reason}: "${analysis.summary}"`);
+        fallbackError.fallback = analysis.fallback;
+        // Retrying can't help until the quota resets; reanalyze picks the record up later
+        fallbackError.permanent = analysis.fallback && analysis.fallback.reason === 'quota_exceeded';
+        throw fallbackError;
+      }
+    } catch (error) {
+      // Back to pending while the queue waits to retry
+      await Record.updateOne({ _id: record._id }, {
+        'enrichment.status': ENRICHMENT_STATUS.PENDING,
+        'enrichment.error': error.message
+      });
+      throw error;
+    }
+    const { summary, source, chunks, title } = analysis;
+
+    // The user may have edited the record while it was queued
+    const latest = await Record.findById(recordId);
+    if (!latest) return;
+
+    // Content changed under us: this summary is already stale, so summarise the new content instead
+    if (latest.content !== record.content || latest.fileUrl !== record.fileUrl) {
+      const currentJobId = latest.enrichment.jobId;
+      if (jobId && currentJobId && !currentJobId.equals(jobId)) {
+        debugLog(method, `Record ${recordId} changed during enrichment, job ${currentJobId} will summarise it`);
+      } else {
+        debugLog(method, `Record ${recordId} changed during enrichment, requeueing`);
+        await this.requeue(latest, { retitle });
+      }
+      return;
+    }
+
+    if (analysis.document) {
+      latest.extractedText = analysis.document.text;
+      latest.document = analysis.document.meta;
+    }
+    latest.geminiSummary = summary || 'Content analysis completed';
+    latest.summarySource = summary ? source : null;
+    latest.aiFallback = undefined;
+    latest.setSummaryChunks(chunks);
+    if (retitle && title && !latest.enrichment.titleLocked) {
+      latest.title = title.length > 100 ? title.substring(0, 97) + '...' : title;
+    }
+
+    // Embedding for semantic search - a failure here shouldn't fail enrichment
+    try {
+      await embeddingService.embedRecord(latest);
+    } catch (embeddingError) {
+      console.error(`[${method}] Embedding ERROR:`, embeddingError.message);
+    }
+
+    latest.enrichment.status = ENRICHMENT_STATUS.COMPLETED;
+    latest.enrichment.attempts = record.enrichment.attempts;
+    latest.enrichment.completedAt = new Date();
+    latest.enrichment.error = undefined;
+    await latest.save();
+
+    // Page index for page-level search hits, written only once the record it points at is saved
+    if (analysis.document) {
+      await this.indexPages(latest, analysis.document.pages);
+    }
+
+    debugLog(method, `✅ Enriched ${latest._id}: "${latest.title}" (${latest.geminiSummary.length} char summary)`);
+  }
+
+  // Search still works on extractedText without the page index, so failures only log
+  async indexPages(record, pages) {
+    const method = 'indexPages';
+    try {
+      await documentPageService.replacePages(record, pages);
+      // The record may have been deleted between the save and the insert - don't leave orphans
+      if (!(await Record.exists({ _id: record._id }))) {
+        debugLog(method, `Record ${record._id} was deleted while indexing, removing its pages`);
+        await documentPageService.deleteForRecord(record._id);
+      }
+    } catch (pageError) {
+      console.error(`[${method}] Page index ERROR:`, pageError.message);
+    }
+  }
+
+  // Out of retries: keep the record usable with a fallback summary
+  async markFailed(recordId, error) {
+    const record = await Record.findById(recordId);
+    if (!record) return;
+
+    record.enrichment.status = ENRICHMENT_STATUS.FAILED;
+    record.enrichment.error = error.message;
+    // Out of quota is permanent for the job only: reanalysis should retry once it resets
+    const quotaExceeded = error.fallback && error.fallback.reason === 'quota_exceeded';
+    record.enrichment.permanent = Boolean(error.permanent) && !quotaExceeded;
+    if (!record.geminiSummary) {
+      record.geminiSummary = this.fallbackSummary(record);
+    }
+    // Remember why, so reanalysis can find it once the provider is back
+    if (this.isFallbackSummary(record.geminiSummary)) {
+      record.aiFallback = error.fallback || {
+        reason: 'error',
+        operation: 'analyze',
+        error: error.message,
+        at: new Date()
+      };
+    }
+    await record.save();
+  }
+
+  // Status as reported by the API (records older than the queue count as completed)
+  describe(record) {
+    const enrichment = record.enrichment || {};
+    return {
+      recordId: record._id,
+      status: enrichment.status || ENRICHMENT_STATUS.COMPLETED,
+      attempts: enrichment.attempts || 0,
+      error: enrichment.error || null,
+      queuedAt: enrichment.queuedAt || null,
+      completedAt: enrichment.completedAt || null,
+      title: record.title,
+      hasSummary: Boolean(record.geminiSummary),
+      fallback: record.aiFallback && record.aiFallback.reason ? record.aiFallback : null
+    };
+  }
+
+  // === Summary and suggested title for a record, by type ===
+  // `analyzed` is false when there was nothing for Gemini to look at
+  async analyze(record) {
+    const method = 'analyze';
+    const { type, fileUrl, content } = record;
+    const ai = { userId: record.user }; // Metered against the record's owner
+    const fileName = record.metadata?.fileName || '';
+    const mimeType = record.metadata?.fileType || '';
+
+    // IMAGE ANALYSIS
+    if (type === 'image' && fileUrl) {
+      // A failed download throws, so the queue retries it (or gives up on a permanent error)
+      const image = {
+        url: fileUrl,
+        data: await this.downloadFile(fileUrl),
+        mimeType: mimeType.startsWith('image/') ? mimeType : 'image/png'
+      };
+      let summary, source = null, fallback = null;
+      try {
+        ({ summary, source, fallback } = await geminiService.analyzeImage(image, ai));
+      } catch (imageError) {
+        console.error(`[${method}] Image analysis ERROR:`, imageError.message);
+        summary = 'Image uploaded - contains visual interface elements';
+      }
+      const title = await this.suggestTitle(() => geminiService.generateTitleFromImage(summary, ai));
+      return { summary, source, fallback, title, analyzed: true };
+    }
+
+    // AUDIO/VIDEO ANALYSIS
+    if ((type === 'audio' || type === 'video') && fileUrl) {
+      const fileDesc = `File: ${fileName}, Type: ${type}, Size: ${record.metadata?.fileSize} bytes`;
+      let summary, source = null, fallback = null;
+      try {
+        ({ summary, source, fallback } = await geminiService.analyzeMedia(fileDesc, type, ai));
+      } catch (mediaError) {
+        console.error(`[${method}] ${type} analysis ERROR:`, mediaError.message);
+        summary = `${capitalize(type)} file uploaded`;
+      }
+      const title = summary && summary.length > 50
+        ? await this.suggestTitle(() => geminiService.generateTitleFromText(summary.substring(0, 500), type, ai))
+        : null;
+      return { summary, source, fallback, title, analyzed: true };
+    }
+
+    // DOCUMENT ANALYSIS (DOCX, PDF, etc.) - text files were read into content on upload
+    // A failed download is worth a retry, so it isn't caught here
+    if (type === 'note' && fileUrl && DOCUMENT_MIME_HINTS.some(hint => mimeType.includes(hint))) {
+      const buffer = await this.downloadFile(fileUrl);
+      const document = await this.extractDocument(buffer, fileName, mimeType);
+
+      // Nothing readable (scanned PDF, old .doc): another attempt would get the same result
+      if (!document.text) {
+        debugLog(method, `No text extracted from ${fileName}: ${document.meta.error || 'empty document'}`);
+        return {
+          summary: `${mimeType.split('/')[1]} document uploaded: ${fileName}`,
+          source: null,
+          fallback: null,
+          title: null,
+          document,
+          analyzed: false
+        };
+      }
+
+      // Long paged documents are chunked by page, so chunk summaries can say which pages they cover
+      const paged = document.pages.length > 1 && geminiService.needsChunking(document.text);
+      const { summary, source, fallback, chunks } = paged
+        ? await geminiService.summarizeChunks(geminiService.chunksFromPages(document.pages), 'document', ai)
+        : await geminiService.extractSummaryFromText(document.text, 'document', ai);
+      const title = !fallback
+        ? await this.suggestTitle(() => geminiService.generateTitleFromText(document.text.substring(0, 500), 'document', ai))
+        : null;
+      return { summary, source, fallback, chunks, title, document, analyzed: true };
+    }
+
+    // NOTES, LINKS AND TEXT FILES
+    if ((type === 'note' || type === 'link') && content) {
+      let summary, source = null, fallback = null, chunks = null;
+      try {
+        ({ summary, source, fallback, chunks } = await geminiService.extractSummaryFromText(content, type, ai));
+      } catch (summaryError) {
+        console.error(`[${method}] ${type} summary ERROR:`, summaryError.message);
+        summary = type === 'link' ? 'Link saved' : 'Note content saved';
+      }
+      const title = await this.suggestTitle(() => (type === 'link'
+        ? geminiService.generateTitleFromUrl(content, '', ai)
+        : geminiService.generateTitleFromText(content, 'note', ai)));
+      return { summary, source, fallback, chunks, title, analyzed: true };
+    }
+
+    // Nothing to analyse (e.g. an empty note) - the fallback is the real answer here
+    return { summary: this.fallbackSummary(record), source: null, fallback: null, title: null, analyzed: false };
+  }
+
+  // === Full text and parser details for an uploaded document ===
+  async extractDocument(buffer, fileName, mimeType) {
+    const result = await documentParser.extractTextFromFile(buffer, fileName, mimeType);
+    const extracted = Boolean(result.success && result.extracted && result.text);
+    const fullText = extracted ? result.text : '';
+    const text = fullText.substring(0, DOCUMENT_DEFAULTS.MAX_TEXT_LENGTH);
+    // PDFs, PPTX (slides) and XLSX (sheets) report { numpages, info }; DOCX reports an array of mammoth messages
+    const parserMetadata = result.metadata && !Array.isArray(result.metadata) ? result.metadata : {};
+
+    // Per-page text (PDFs) shares extractedText's length budget
+    let budget = DOCUMENT_DEFAULTS.MAX_TEXT_LENGTH;
+    const pages = (extracted && result.pages ? result.pages : [])
+      .map(page => {
+        const pageText = page.text.substring(0, Math.max(budget, 0));
+        budget -= pageText.length;
+        return { number: page.number, text: pageText };
+      })
+      .filter(page => page.text);
+
+    return {
+      text,
+      pages,
+      meta: {
+        parser: result.type || 'unknown',
+        extracted,
+        pageCount: parserMetadata.numpages,
+        textLength: fullText.length,
+        truncated: fullText.length > text.length,
+        info: parserMetadata.info,
+        error: extracted ? undefined : (result.error || result.note || 'No text found'),
+        parsedAt: new Date()
+      }
+    };
+  }
+
+  // A Gemini title, or null if it failed or came back generic
+  async suggestTitle(generate) {
+    try {
+      const title = await generate();
+      return title && title.length > 5 && !this.isGenericTitle(title) ? title : null;
+    } catch (error) {
+      console.error('[suggestTitle] ERROR:', error.message);
+      return null;
+    }
+  }
+
+  // === Title shown until enrichment finishes (no Gemini calls) ===
+  provisionalTitle({ type, userTitle, fileName, content }) {
+    if (userTitle && userTitle.trim()) return userTitle.trim();
+
+    if (fileName) {
+      const cleaned = fileName.replace(/\.[^/.]+$/, '').replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+      if (cleaned) return cleaned;
+    }
+
+    if (type === 'link' && content) {
+      try {
+        return new URL(content).hostname.replace(/^www\./, '');
+      } catch {
+        return content.length > 30 ? content.substring(0, 30) + '...' : content;
+      }
+    }
+
+    if (type === 'note' && content) {
+      const firstSentence = content.split(/[.!?\n]/)[0].trim();
+      if (firstSentence.length > 10) return firstSentence;
+    }
+
+    return this.defaultTitle(type);
+  }
+
+  defaultTitle(type) {
+    return `${capitalize(type)} ${new Date().toLocaleDateString()}`;
+  }
+
+  isGenericTitle(title) {
+    if (!title) return false;
+    const lowerTitle = title.toLowerCase();
+    return GENERIC_TITLE_WORDS.some(word =>
+      lowerTitle.includes(word) && (lowerTitle.match(/\d+/) || DATE_IN_TITLE.test(lowerTitle))
+    );
+  }
+
+  fallbackSummary(record) {
+    if (record.type === 'link') return 'Link saved';
+    if (record.type === 'note') return record.metadata?.fileName ? `Document uploaded: ${record.metadata.fileName}` : 'Note content saved';
+    return `${capitalize(record.type)} file uploaded`;
+  }
+
+  // Uploaded files live in Cloudinary; workers fetch them back when they need the bytes
+  // Uploads are capped at FILE_LIMITS.MAX_FILE_SIZE, so anything bigger isn't ours to read
+  async downloadFile(url, redirects = 0) {
+    const permanent = (message) => Object.assign(new Error(message), { permanent: true });
+
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https') ? require('https') : require('http');
+      const request = client.get(url, (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400) {
+          response.resume();
+          if (!headers.location) return reject(new Error(`Download redirected (${statusCode}) without a location`));
+          if (redirects >= DOCUMENT_DEFAULTS.MAX_DOWNLOAD_REDIRECTS) return reject(permanent('Download redirected too many times'));
+          const next = new URL(headers.location, url);
+          if (next.protocol !== 'https:' && next.protocol !== 'http:') {
+            return reject(permanent(`Download redirected to unsupported protocol ${next.protocol}`));
+          }
+          return resolve(this.downloadFile(next.href, redirects + 1));
+        }
+        if (statusCode >= 400) {
+          response.resume();
+          return reject(new Error(`Download failed with status ${statusCode}`));
+        }
+
+        const maxSize = FILE_LIMITS.MAX_FILE_SIZE;
+        if (parseInt(headers['content-length']) > maxSize) {
+          request.destroy();
+          return reject(permanent(`Download larger than ${maxSize} bytes`));
+        }
+
+        const chunks = [];
+        let received = 0;
+        response.on('data', chunk => {
+          received += chunk.length;
+          if (received > maxSize) {
+            request.destroy();
+            return reject(permanent(`Download larger than ${maxSize} bytes`));
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve(Buffer.concat(chunks)));
+        response.on('error', reject);
+      });
+
+      request.setTimeout(DOCUMENT_DEFAULTS.DOWNLOAD_TIMEOUT_MS, () => {
+        request.destroy(new Error(`Download timed out after ${DOCUMENT_DEFAULTS.DOWNLOAD_TIMEOUT_MS}ms`));
+      });
+      request.on('error', reject);
+    });
+  }
+}
+
+module.exports = new EnrichmentService();
+module.exports.ENRICH_JOB = ENRICH_JOB;
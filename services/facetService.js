@@ -0,0 +1,49 @@
+const Record = require('../models/Record');
+const { FACET_DEFAULTS } = require('../utils/constants');
+
+// Turn aggregation buckets into [{ value, count }]
+const toBuckets = (groups) => groups.map(g => ({
+  value: g._id === null || g._id === undefined ? 'none' : g._id,
+  count: g.count
+}));
+
+class FacetService {
+  // === Facet counts (type, tag, month, format) for a Record query ===
+  async getFacets(query) {
+    const [result] = await Record.aggregate([
+      { $match: query },
+      {
+        $facet: {
+          types: [
+            { $group: { _id: '$type', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_DEFAULTS.TAG_LIMIT }
+          ],
+          months: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+            { $limit: FACET_DEFAULTS.MONTH_LIMIT }
+          ],
+          formats: [
+            { $group: { _id: { $ifNull: ['$metadata.format', null] }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      types: toBuckets(result.types),
+      tags: toBuckets(result.tags),
+      months: toBuckets(result.months),
+      formats: toBuckets(result.formats)
+    };
+  }
+}
+
+module.exports = new FacetService();
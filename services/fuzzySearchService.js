@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Record = require('../models/Record');
+const { FUZZY_DEFAULTS } = require('../utils/constants');
+const { tokenize, ngrams, editDistance } = require('../utils/helpers');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [FuzzySearch.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [FuzzySearch.${method}] Data:`, data);
+}
+
+// How much a match counts depending on where it was found
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  geminiSummary: 1.5,
+  content: 1,
+  extractedText: 0.8
+};
+const MAX_FIELD_WEIGHT = Math.max(...Object.values(FIELD_WEIGHTS));
+
+class FuzzySearchService {
+  // === MAIN METHOD: typo-tolerant search ranked by match quality ===
+  // `terms` may be words or phrases; a record matches a phrase when all of its words match.
+  // Returns { matches: [{ record, score (0-1), matchedTerms, corrections }] best first, capped }.
+  // capped: the candidate limit was reached, so more records may match than were scored.
+  async search(userId, terms, options = {}) {
+    const method = 'search';
+    const {
+      filterQuery = {},
+      ids = null, // Only consider these records (session refinements)
+      minScore = FUZZY_DEFAULTS.MIN_SCORE
+    } = options;
+
+    const phrases = terms
+      .map(term => tokenize(term))
+      .filter(words => words.length > 0);
+    if (phrases.length === 0) return { matches: [], capped: false };
+
+    const scope = ids
+      ? { ...filterQuery, _id: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } }
+      : filterQuery;
+    const candidates = await this.findCandidates(userId, phrases.flat(), scope);
+
+    const matches = candidates
+      .map(record => ({ record, ...this.scoreRecord(record, phrases) }))
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score || b.record.createdAt - a.record.createdAt);
+
+    debugLog(method, `${matches.length}/${candidates.length} candidates matched "${terms.join(', ')}"`);
+    return { matches, capped: candidates.length >= FUZZY_DEFAULTS.CANDIDATE_LIMIT };
+  }
+
+  // === Records sharing the most grams with the query words ===
+  async findCandidates(userId, words, filterQuery = {}) {
+    const grams = [...new Set(words.flatMap(word => ngrams(word, FUZZY_DEFAULTS.GRAM_SIZE)))];
+
+    const ranked = await Record.aggregate([
+      {
+        $match: {
+          $and: [
+            { ...filterQuery, user: userId },
+            // Records saved before grams existed are scored from their text directly
+            {
+              $or: [
+                { searchGrams: { $in: grams } },
+                { searchGrams: { $exists: false } }
+              ]
+            }
+          ]
+        }
+      },
+      {
+        $project: {
+          createdAt: 1,
+          overlap: { $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } }
+        }
+      },
+      { $sort: { overlap: -1, createdAt: -1 } },
+      { $limit: FUZZY_DEFAULTS.CANDIDATE_LIMIT }
+    ]);
+
+    if (ranked.length === 0) return [];
+    return Record.find({ _id: { $in: ranked.map(r => r._id) } });
+  }
+
+  // === Score one record: each phrase's best field, normalised to 0-1 ===
+  scoreRecord(record, phrases) {
+    const fieldWords = {};
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      let value = field === 'tags' ? (record.tags || []).join(' ') : record[field];
+      // Document text can be very long; only the part covered by searchGrams is scored
+      if (field === 'extractedText') value = (value || '').substring(0, FUZZY_DEFAULTS.MAX_TEXT_LENGTH);
+      fieldWords[field] = [...new Set(tokenize(value))];
+    });
+
+    let total = 0;
+    const matchedTerms = [];
+    const corrections = [];
+
+    phrases.forEach(words => {
+      let best = null;
+      Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+        const matches = words.map(word => this.bestMatch(word, fieldWords[field]));
+        if (matches.some(m => !m)) return; // Every word of a phrase must match
+
+        const similarity = matches.reduce((sum, m) => sum + m.similarity, 0) / matches.length;
+        const score = similarity * fieldWeight;
+        if (!best || score > best.score) best = { field, score, matches };
+      });
+
+      if (!best) return;
+      total += best.score;
+      matchedTerms.push({ term: words.join(' '), field: best.field });
+      best.matches
+        .filter(m => m.distance > 0)
+        .forEach(m => corrections.push({ term: m.term, matched: m.word }));
+    });
+
+    return {
+      score: Math.round((total / (phrases.length * MAX_FIELD_WEIGHT)) * 100) / 100,
+      matchedTerms,
+      corrections
+    };
+  }
+
+  // Closest word in a field, if it's within the typo allowance for the term
+  bestMatch(term, words) {
+    const allowed = this.allowedEdits(term);
+    let best = null;
+
+    words.forEach(word => {
+      let similarity = 0;
+      let distance = 0;
+
+      if (word === term) {
+        similarity = 1;
+      } else if (term.length >= 3 && word.startsWith(term)) {
+        similarity = FUZZY_DEFAULTS.PREFIX_SIMILARITY;
+      } else {
+        if (allowed === 0 || Math.abs(word.length - term.length) > allowed) return;
+        distance = editDistance(term, word);
+        if (distance > allowed) return;
+        similarity = 1 - distance / Math.max(term.length, word.length);
+      }
+
+      if (!best || similarity > best.similarity) {
+        best = { term, word, similarity, distance };
+      }
+    });
+
+    return best;
+  }
+
+  // Short words must match exactly; longer words tolerate more typos
+  allowedEdits(term) {
+    if (term.length <= 3) return 0;
+    if (term.length <= 6) return 1;
+    return 2;
+  }
+
+  // "Did you mean" text built from the corrections of the top results
+  suggestCorrection(query, results) {
+    const replacements = new Map();
+    results.slice(0, 5).forEach(result => {
+      result.corrections.forEach(c => {
+        if (!replacements.has(c.term)) replacements.set(c.term, c.matched);
+      });
+    });
+    if (replacements.size === 0) return null;
+
+    return query.replace(/[a-z0-9]+/gi, word => replacements.get(word.toLowerCase()) || word);
+  }
+}
+
+module.exports = new FuzzySearchService();
@@ -0,0 +1,128 @@
+const { HIGHLIGHT_DEFAULTS } = require('../utils/constants');
+const { escapeRegex, escapeHtml } = require('../utils/helpers');
+
+// Fields searched for matches, in the order snippets are returned
+const HIGHLIGHT_FIELDS = ['title', 'geminiSummary', 'content', 'extractedText'];
+
+class HighlightService {
+  // === Terms to highlight from a parsed universal query ===
+  termsFromParsedQuery(parsedQuery) {
+    const quoted = (parsedQuery.original || '').match(/"([^"]+)"/g) || [];
+    return this.normalizeTerms([
+      ...quoted.map(q => q.replace(/"/g, '')),
+      ...parsedQuery.meaningfulWords
+    ]);
+  }
+
+  // === Terms from advanced search keywords (each keyword may be a phrase) ===
+  termsFromWords(words) {
+    return this.normalizeTerms(words.map(String));
+  }
+
+  normalizeTerms(terms) {
+    const cleaned = terms
+      .map(t => t.toLowerCase().replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '').trim())
+      .filter(t => t.length > 2);
+    // Longest first so phrases win over the words inside them
+    return [...new Set(cleaned)].sort((a, b) => b.length - a.length);
+  }
+
+  // === Snippets for every field of a record that matches ===
+  highlightRecord(record, terms) {
+    if (terms.length === 0) return [];
+
+    return HIGHLIGHT_FIELDS
+      .map(field => {
+        const text = record[field];
+        if (!text || typeof text !== 'string') return null;
+
+        const matches = this.findMatches(text, terms);
+        if (matches.length === 0) return null;
+
+        return { field, ...this.buildSnippet(text, matches) };
+      })
+      .filter(Boolean);
+  }
+
+  // Non-overlapping match ranges, in text order
+  findMatches(text, terms) {
+    const found = [];
+    terms.forEach(term => {
+      // Words also match their longer forms: "invoice" highlights "invoices"
+      const suffix = term.includes(' ') ? '' : '\\w*';
+      const regex = new RegExp(`\\b${escapeRegex(term)}${suffix}`, 'gi');
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        found.push({ start: match.index, end: match.index + match[0].length, term });
+      }
+    });
+
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    const merged = [];
+    found.forEach(match => {
+      const last = merged[merged.length - 1];
+      if (last && match.start < last.end) return;
+      merged.push(match);
+    });
+    return merged;
+  }
+
+  // A window around the densest cluster of matches, with offsets relative to the snippet
+  buildSnippet(text, matches) {
+    const { SNIPPET_LENGTH, CONTEXT_BEFORE } = HIGHLIGHT_DEFAULTS;
+
+    let start = 0;
+    if (text.length > SNIPPET_LENGTH) {
+      let bestCount = -1;
+      matches.forEach(candidate => {
+        const windowStart = Math.max(0, candidate.start - CONTEXT_BEFORE);
+        const count = matches.filter(m => m.start >= windowStart && m.end <= windowStart + SNIPPET_LENGTH).length;
+        if (count > bestCount) {
+          bestCount = count;
+          start = windowStart;
+        }
+      });
+      // Don't cut a word in half
+      if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < matches.find(m => m.start >= start).start) start = space + 1;
+      }
+    }
+
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const body = text.substring(start, end).replace(/\s+/g, ' ');
+
+    // Offsets shift when whitespace collapses, so match again inside the snippet
+    const snippet = `${prefix}${body}${suffix}`;
+    const inSnippet = this.findMatches(snippet, [...new Set(matches.map(m => m.term))]);
+
+    return {
+      snippet,
+      matches: inSnippet.map(m => ({ start: m.start, end: m.end, term: m.term })),
+      highlighted: this.markup(snippet, inSnippet),
+      matchCount: matches.length
+    };
+  }
+
+  // HTML-escaped snippet with <mark> around matches
+  markup(snippet, matches) {
+    let html = '';
+    let cursor = 0;
+    matches.forEach(m => {
+      html += escapeHtml(snippet.substring(cursor, m.start));
+      html += `<mark>${escapeHtml(snippet.substring(m.start, m.end))}</mark>`;
+      cursor = m.end;
+    });
+    return html + escapeHtml(snippet.substring(cursor));
+  }
+}
+
+module.exports = new HighlightService();
+module.exports.HIGHLIGHT_FIELDS = HIGHLIGHT_FIELDS;
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const Record = require('../models/Record');
+const geminiService = require('./geminiService');
+const universalSearchService = require('./universalSearchService');
+const candidateService = require('./candidateService');
+const usageService = require('./usageService');
+const { SEARCH_DEFAULTS, HYBRID_WEIGHTS } = require('../utils/constants');
+const { withTimeout } = require('../utils/helpers');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [HybridSearch.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [HybridSearch.${method}] Data:`, data);
+}
+
+class HybridSearchService {
+  constructor() {
+    this.geminiTimeoutMs = parseInt(process.env.GEMINI_SEARCH_TIMEOUT_MS) || SEARCH_DEFAULTS.GEMINI_TIMEOUT_MS;
+  }
+
+  // === MAIN METHOD: lexical + Gemini ranking merged into one list ===
+  async search(query, userId, options = {}) {
+    const method = 'search';
+    const {
+      limit = SEARCH_DEFAULTS.LIMIT,
+      restrictToIds = null, // Only rank these records (session refinements)
+      removedFilters = [] // Parsed filter chips the user dismissed
+    } = options;
+
+    const universal = await universalSearchService.processUniversalQuery(query, { userId, removedFilters });
+    if (restrictToIds) {
+      universal.mongoQuery._id = { $in: restrictToIds };
+    }
+
+    // Both signals run side by side so a slow model never delays the lexical pass
+    const [lexical, gemini] = await Promise.all([
+      this.runLexicalSearch(universal),
+      this.runGeminiRanking(universal.rankingQuery, userId, universal.filterQuery, restrictToIds)
+    ]);
+
+    debugLog(method, `Lexical: ${lexical.matches.length} matches, Gemini: ${gemini.matchedFileIds.length} matches (${gemini.status})`);
+
+    const results = await this.mergeRankings(lexical, gemini, userId);
+
+    return {
+      parsedQuery: lexical.parsedQuery,
+      filterQuery: universal.filterQuery,
+      results: results.slice(0, limit),
+      total: results.length,
+      gemini: {
+        status: gemini.status,
+        reasoning: gemini.reasoning,
+        confidence: gemini.confidence,
+        message: gemini.message,
+        considered: gemini.considered,
+        skipped: gemini.skipped
+      },
+      lexicalCount: lexical.matches.length
+    };
+  }
+
+  // === Universal parser + weighted Mongo query ===
+  async runLexicalSearch(universal) {
+    const method = 'runLexicalSearch';
+    const { parsedQuery, searchPatterns, mongoQuery } = universal;
+
+    // Nothing meaningful to match on (e.g. only stop words)
+    if (searchPatterns.length === 0) {
+      return { parsedQuery, matches: [] };
+    }
+
+    try {
+      const records = await Record.find(mongoQuery).limit(SEARCH_DEFAULTS.LEXICAL_CANDIDATE_LIMIT);
+
+      const matches = records
+        .map(record => ({ record, ...universalSearchService.scoreRecord(record, searchPatterns) }))
+        .filter(match => match.score > 0);
+
+      return { parsedQuery, matches };
+    } catch (error) {
+      console.error(`[${method}] ERROR:`, error.message);
+      return { parsedQuery, matches: [] };
+    }
+  }
+
+  // === Gemini ranking over a bounded candidate set, bounded by a timeout ===
+  async runGeminiRanking(query, userId, filterQuery = {}, restrictToIds = null) {
+    const method = 'runGeminiRanking';
+    const empty = { matchedFileIds: [], explanations: {}, reasoning: null, confidence: 0, message: null, considered: 0, skipped: 0 };
+
+    // Filter-only queries (e.g. "tag:invoice type:image") leave nothing to rank by meaning
+    if (!query || !query.trim()) {
+      return { ...empty, status: 'skipped' };
+    }
+
+    try {
+      // Out of AI quota: search still works, ranked by keywords only
+      const quota = await usageService.checkQuota(userId);
+      if (!quota.allowed) {
+        debugLog(method, `AI quota reached (${quota.exceeded}), skipping Gemini`);
+        return { ...empty, status: 'quota_exceeded' };
+      }
+
+      const selection = await candidateService.selectCandidates(userId, query, {
+        filterQuery,
+        ids: restrictToIds
+      });
+      const userFiles = selection.candidates;
+      if (userFiles.length === 0) {
+        return { ...empty, skipped: selection.skipped, status: 'skipped' };
+      }
+
+      const result = await withTimeout(
+        geminiService.findMatchingFiles(query, userFiles, { userId }),
+        this.geminiTimeoutMs,
+        'Gemini search'
+      );
+
+      if (!result) {
+        return { ...empty, skipped: selection.total, status: 'failed' };
+      }
+
+      // Records left out by prefiltering plus any batches Gemini never saw
+      const skipped = selection.skipped + (result.skipped || 0);
+      const considered = selection.total - skipped;
+
+      // Only keep ids Gemini could actually have seen
+      const knownIds = new Set(userFiles.map(f => f._id.toString()));
+      const matchedFileIds = [...new Set(result.matchedFileIds || [])]
+        .filter(id => typeof id === 'string' && knownIds.has(id));
+
+      return {
+        matchedFileIds,
+        explanations: result.explanations || {},
+        reasoning: result.reasoning || null,
+        confidence: typeof result.confidence === 'number' ? result.confidence : 0.5,
+        message: result.message || null,
+        considered,
+        skipped,
+        status: 'ok'
+      };
+    } catch (error) {
+      debugLog(method, `Gemini unavailable: ${error.message}`);
+      return { ...empty, status: error.code === 'ETIMEDOUT' ? 'timeout' : 'failed' };
+    }
+  }
+
+  // === Combine both signals into one relevance-ordered list ===
+  async mergeRankings(lexical, gemini, userId) {
+    const byId = new Map();
+    const entryFor = (id) => {
+      if (!byId.has(id)) {
+        byId.set(id, { record: null, lexicalScore: 0, geminiScore: 0, matchReasons: [], explanation: null });
+      }
+      return byId.get(id);
+    };
+
+    // Lexical scores normalised against the best lexical hit
+    const maxLexical = Math.max(0, ...lexical.matches.map(m => m.score));
+    lexical.matches.forEach(match => {
+      const entry = entryFor(match.record._id.toString());
+      entry.record = match.record;
+      entry.lexicalScore = maxLexical > 0 ? match.score / maxLexical : 0;
+      entry.matchReasons.push(...match.reasons);
+    });
+
+    // Gemini scores decay with rank and are scaled by its confidence
+    const count = gemini.matchedFileIds.length;
+    gemini.matchedFileIds.forEach((id, index) => {
+      const entry = entryFor(id);
+      entry.geminiScore = ((count - index) / count) * gemini.confidence;
+      entry.explanation = gemini.explanations[id] || null;
+      entry.matchReasons.unshift(`Gemini ${gemini.reasoning || 'match'} (rank ${index + 1}, confidence ${gemini.confidence})`);
+    });
+
+    // Load records that only Gemini found
+    const missingIds = [...byId.entries()]
+      .filter(([id, entry]) => !entry.record && mongoose.Types.ObjectId.isValid(id))
+      .map(([id]) => id);
+
+    if (missingIds.length > 0) {
+      const records = await Record.find({ _id: { $in: missingIds }, user: userId });
+      records.forEach(record => {
+        byId.get(record._id.toString()).record = record;
+      });
+    }
+
+    // Without Gemini, lexical alone decides the order
+    const geminiWeight = gemini.status === 'ok' ? HYBRID_WEIGHTS.GEMINI : 0;
+    const totalWeight = geminiWeight + HYBRID_WEIGHTS.LEXICAL;
+
+    return [...byId.values()]
+      .filter(entry => entry.record)
+      .map(entry => ({
+        ...entry,
+        score: Number(((entry.geminiScore * geminiWeight + entry.lexicalScore * HYBRID_WEIGHTS.LEXICAL) / totalWeight).toFixed(4)),
+        lexicalScore: Number(entry.lexicalScore.toFixed(4)),
+        geminiScore: Number(entry.geminiScore.toFixed(4))
+      }))
+      .sort((a, b) => b.score - a.score || b.record.createdAt - a.record.createdAt);
+  }
+}
+
+module.exports = new HybridSearchService();
@@ -0,0 +1,215 @@
+const os = require('os');
+const Job = require('../models/Job');
+const { JOB_DEFAULTS } = require('../utils/constants');
+const { withTimeout } = require('../utils/helpers');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [JobQueue.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [JobQueue.${method}] Data:`, data);
+}
+
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.workers = [];
+    this.running = false;
+    this.workerPrefix = `${os.hostname()}:${process.pid}`;
+  }
+
+  // === Register what runs for a job type ===
+  // onFailed(payload, job, error) is called once a job has used all its attempts (or failed permanently)
+  registerHandler(type, handler, options = {}) {
+    this.handlers[type] = { handler, onFailed: options.onFailed || null };
+  }
+
+  // === Add a job. Pass `job` (an unsaved Job) to save one created earlier. ===
+  async enqueue(type, payload = {}, options = {}) {
+    const job = options.job || new Job({ type, payload });
+    if (options.maxAttempts) job.maxAttempts = options.maxAttempts;
+    if (options.runAt) job.runAt = options.runAt;
+    await job.save();
+
+    debugLog('enqueue', `Queued ${type} job ${job._id}`);
+    // Don't make a freshly queued job wait for the next poll
+    this.workers.forEach(worker => worker.wake && worker.wake());
+    return job;
+  }
+
+  // === Start polling workers (safe to call once per process) ===
+  start(options = {}) {
+    const {
+      concurrency = parseInt(process.env.JOB_CONCURRENCY) || JOB_DEFAULTS.CONCURRENCY,
+      pollIntervalMs = JOB_DEFAULTS.POLL_INTERVAL_MS
+    } = options;
+
+    if (this.running) return;
+    this.running = true;
+
+    for (let i = 0; i < concurrency; i++) {
+      this.workers.push(this.createWorker(`${this.workerPrefix}:${i}`, pollIntervalMs));
+    }
+    debugLog('start', `Started ${concurrency} worker(s) for: ${Object.keys(this.handlers).join(', ') || 'no handlers'}`);
+  }
+
+  // Stop picking up new jobs and wait (up to timeoutMs) for running ones to finish
+  // Resolves false if some were still running at the deadline
+  async stop(timeoutMs = JOB_DEFAULTS.SHUTDOWN_TIMEOUT_MS) {
+    this.running = false;
+    const workers = this.workers;
+    this.workers = [];
+    workers.forEach(worker => clearTimeout(worker.timer));
+
+    const running = workers.filter(worker => worker.busy).map(worker => worker.pass);
+    if (running.length === 0) return true;
+
+    debugLog('stop', `Waiting for ${running.length} running job(s)`);
+    return withTimeout(Promise.all(running), timeoutMs, 'Job queue shutdown').then(() => true, () => false);
+  }
+
+  createWorker(workerId, pollIntervalMs) {
+    // pass: the current run of the loop, so stop() can wait for it
+    const worker = { id: workerId, timer: null, busy: false, pass: null };
+
+    const loop = async () => {
+      if (!this.running) return;
+      worker.busy = true;
+      try {
+        // Keep going while there is work, then sleep until the next poll
+        let job = await this.claimNext(workerId);
+        while (job && this.running) {
+          await this.runJob(job);
+          job = await this.claimNext(workerId);
+        }
+      } catch (error) {
+        console.error(`[JobQueue.worker] ${workerId} ERROR:`, error.message);
+      }
+      worker.busy = false;
+      if (this.running) worker.timer = setTimeout(run, pollIntervalMs);
+    };
+    const run = () => {
+      worker.pass = loop();
+    };
+
+    worker.wake = () => {
+      if (worker.busy || !this.running) return;
+      clearTimeout(worker.timer);
+      worker.timer = setTimeout(run, 0);
+    };
+
+    worker.timer = setTimeout(run, 0);
+    return worker;
+  }
+
+  // === Atomically take the next due job (or one whose worker died) ===
+  async claimNext(workerId) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - JOB_DEFAULTS.LOCK_TIMEOUT_MS);
+
+    await this.failAbandoned(staleBefore);
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: Object.keys(this.handlers) },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          // A dead worker's job is only retried while it has attempts left
+          { status: 'running', lockedAt: { $lt: staleBefore }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: workerId, updatedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Jobs whose worker died on their last attempt are failed instead of run again
+  async failAbandoned(staleBefore) {
+    let job;
+    while ((job = await Job.findOneAndUpdate(
+      {
+        type: { $in: Object.keys(this.handlers) },
+        status: 'running',
+        lockedAt: { $lt: staleBefore },
+        $expr: { $gte: ['$attempts', '$maxAttempts'] }
+      },
+      {
+        $set: { status: 'failed', lastError: 'Worker stopped responding on the last attempt', updatedAt: new Date() },
+        $unset: { lockedAt: 1 }
+      },
+      { new: true }
+    ))) {
+      console.error(`[JobQueue.failAbandoned] ${job.type} job ${job._id} abandoned after ${job.attempts} attempt(s)`);
+      await this.notifyFailed(job, new Error(job.lastError));
+    }
+  }
+
+  async notifyFailed(job, error) {
+    const { onFailed } = this.handlers[job.type];
+    if (!onFailed) return;
+    await Promise.resolve(onFailed(job.payload, job, error)).catch(failError => {
+      console.error(`[JobQueue.notifyFailed] onFailed ERROR:`, failError.message);
+    });
+  }
+
+  // Keep the lock fresh while the handler runs so a long job isn't taken for abandoned
+  startHeartbeat(job) {
+    const timer = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+        { $set: { lockedAt: new Date() } }
+      ).catch(error => {
+        console.error(`[JobQueue.heartbeat] ${job.type} job ${job._id} ERROR:`, error.message);
+      });
+    }, JOB_DEFAULTS.HEARTBEAT_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  async runJob(job) {
+    const method = 'runJob';
+    const { handler } = this.handlers[job.type];
+    const heartbeat = this.startHeartbeat(job);
+
+    try {
+      await handler(job.payload, job);
+      clearInterval(heartbeat);
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.lastError = undefined;
+      job.lockedAt = undefined;
+      await job.save();
+      debugLog(method, `✅ ${job.type} job ${job._id} completed (attempt ${job.attempts})`);
+    } catch (error) {
+      clearInterval(heartbeat);
+      job.lastError = error.message;
+      job.lockedAt = undefined;
+
+      // Handlers set error.permanent when another attempt can't succeed
+      if (job.attempts >= job.maxAttempts || error.permanent) {
+        job.status = 'failed';
+        await job.save();
+        console.error(`[JobQueue.${method}] ${job.type} job ${job._id} failed permanently:`, error.message);
+        await this.notifyFailed(job, error);
+        return;
+      }
+
+      const delay = this.backoff(job.attempts);
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + delay);
+      await job.save();
+      debugLog(method, `${job.type} job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    }
+  }
+
+  // Exponential backoff with jitter so retries from many jobs don't line up
+  backoff(attempt) {
+    const exponential = JOB_DEFAULTS.BACKOFF_BASE_MS * Math.pow(2, attempt - 1);
+    const capped = Math.min(exponential, JOB_DEFAULTS.BACKOFF_MAX_MS);
+    return Math.round(capped / 2 + Math.random() * (capped / 2));
+  }
+}
+
+module.exports = new JobQueue();
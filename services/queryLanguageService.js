@@ -0,0 +1,365 @@
+const { RECORD_TYPES } = require('../utils/constants');
+const { escapeRegex } = require('../utils/helpers');
+
+// === Power-user query syntax ===
+// tag:invoice type:image -draft "quarterly report" created:>2025-01-01 (a OR b)
+// Terms are ANDed unless joined by OR; "-" or NOT negates; parentheses group.
+
+// Field prefixes and the record fields they search
+const FIELDS = {
+  tag: 'tags',
+  tags: 'tags',
+  type: 'type',
+  title: 'title',
+  summary: 'geminiSummary',
+  content: 'content',
+  document: 'extractedText',
+  format: 'metadata.format',
+  created: 'createdAt',
+  updated: 'updatedAt'
+};
+const DATE_FIELDS = new Set(['created', 'updated']);
+
+// Fields a bare word or "phrase" is matched against
+const TEXT_FIELDS = ['title', 'geminiSummary', 'content', 'tags', 'extractedText'];
+
+// Cheap check so plain natural-language queries skip the parser entirely
+const SYNTAX_PATTERN = new RegExp(
+  `(^|[\\s(])(${Object.keys(FIELDS).join('|')}):|(^|[\\s(])-[\\w"(]|\\s(OR|AND|NOT)\\s|[()]`
+);
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+    this.statusCode = 400;
+  }
+}
+
+class QueryLanguageService {
+  hasSyntax(query) {
+    return SYNTAX_PATTERN.test(query || '');
+  }
+
+  // === MAIN METHOD: query text -> { ast, filter, terms } ===
+  // `terms` are the positive free-text words/phrases, for scoring and highlighting.
+  // Throws QuerySyntaxError (statusCode 400) pointing at the problem.
+  parse(query) {
+    const tokens = this.tokenize(query);
+    this.tokens = tokens;
+    this.index = 0;
+
+    if (tokens.length === 0) {
+      throw new QuerySyntaxError('Query is empty', 0);
+    }
+
+    const ast = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      throw new QuerySyntaxError(`Unexpected ${this.describe(extra)}`, extra.position);
+    }
+
+    return {
+      ast,
+      filter: this.compile(ast),
+      terms: this.positiveTerms(ast)
+    };
+  }
+
+  // === Tokens: ( ) OR AND NOT - words "phrases" field:value ===
+  tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      const char = query[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '(' || char === ')') {
+        tokens.push({ kind: char, position: i });
+        i++;
+        continue;
+      }
+
+      // "-" only negates at the start of a term ("e-mail" stays one word)
+      if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+        tokens.push({ kind: 'NOT', position: i });
+        i++;
+        continue;
+      }
+
+      if (char === '"') {
+        const { value, end } = this.readQuoted(query, i);
+        tokens.push({ kind: 'PHRASE', value, position: i });
+        i = end;
+        continue;
+      }
+
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+      const word = query.substring(start, i);
+
+      if (word === 'OR' || word === 'AND' || word === 'NOT') {
+        tokens.push({ kind: word, position: start });
+        continue;
+      }
+
+      const colon = word.indexOf(':');
+      const field = colon > 0 ? word.substring(0, colon).toLowerCase() : null;
+      if (field && FIELDS[field]) {
+        let value = word.substring(colon + 1);
+        // title:"quarterly report"
+        if (value === '' && query[i] === '"') {
+          const quoted = this.readQuoted(query, i);
+          value = quoted.value;
+          i = quoted.end;
+        }
+        if (value === '') {
+          throw new QuerySyntaxError(`Missing value for "${field}:"`, start);
+        }
+        tokens.push({ kind: 'FIELD', field, value, position: start, valuePosition: start + colon + 1 });
+        continue;
+      }
+
+      tokens.push({ kind: 'TERM', value: word, position: start });
+    }
+
+    return tokens;
+  }
+
+  readQuoted(query, start) {
+    const close = query.indexOf('"', start + 1);
+    if (close === -1) {
+      throw new QuerySyntaxError('Unterminated quote', start);
+    }
+    const value = query.substring(start + 1, close).trim();
+    if (value === '') {
+      throw new QuerySyntaxError('Empty phrase', start);
+    }
+    return { value, end: close + 1 };
+  }
+
+  // === Recursive descent: or := and (OR and)*, and := unary (AND? unary)* ===
+  parseOr() {
+    const children = [this.parseAnd()];
+    while (this.peek() && this.peek().kind === 'OR') {
+      const or = this.next();
+      if (!this.startsOperand(this.peek())) {
+        throw new QuerySyntaxError('Expected a term after OR', or.position);
+      }
+      children.push(this.parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd() {
+    const children = [this.parseUnary()];
+    while (this.peek() && this.peek().kind !== 'OR' && this.peek().kind !== ')') {
+      if (this.peek().kind === 'AND') {
+        const and = this.next();
+        if (!this.startsOperand(this.peek())) {
+          throw new QuerySyntaxError('Expected a term after AND', and.position);
+        }
+      }
+      children.push(this.parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token && token.kind === 'NOT') {
+      this.next();
+      if (!this.startsOperand(this.peek())) {
+        throw new QuerySyntaxError('Expected a term to exclude', token.position);
+      }
+      return { type: 'not', child: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (!token) {
+      const last = this.tokens[this.tokens.length - 1];
+      throw new QuerySyntaxError('Query ends unexpectedly', last ? last.position : 0);
+    }
+
+    switch (token.kind) {
+      case '(': {
+        if (this.peek() && this.peek().kind === ')') {
+          throw new QuerySyntaxError('Empty group', token.position);
+        }
+        const inner = this.parseOr();
+        const close = this.next();
+        if (!close || close.kind !== ')') {
+          throw new QuerySyntaxError('Unclosed "("', token.position);
+        }
+        return inner;
+      }
+      case 'TERM':
+        return { type: 'term', value: token.value.toLowerCase(), position: token.position };
+      case 'PHRASE':
+        return { type: 'phrase', value: token.value.toLowerCase(), position: token.position };
+      case 'FIELD':
+        return this.fieldNode(token);
+      default:
+        throw new QuerySyntaxError(`Unexpected ${this.describe(token)}`, token.position);
+    }
+  }
+
+  fieldNode(token) {
+    const { field, value, valuePosition } = token;
+
+    if (DATE_FIELDS.has(field)) {
+      return { type: 'field', field, ...this.parseDateComparison(value, valuePosition), position: token.position };
+    }
+
+    if (field === 'type') {
+      const type = value.toLowerCase().replace(/s$/, '');
+      if (!RECORD_TYPES.includes(type)) {
+        throw new QuerySyntaxError(`Unknown type "${value}" (expected ${RECORD_TYPES.join(', ')})`, valuePosition);
+      }
+      return { type: 'field', field, op: '=', value: type, position: token.position };
+    }
+
+    return { type: 'field', field, op: '=', value: value.toLowerCase(), position: token.position };
+  }
+
+  // created:>2025-01-01, created:<=2025-03, created:2024, created:2025-01-01..2025-02-01
+  parseDateComparison(text, position) {
+    const range = text.split('..');
+    if (range.length === 2) {
+      const from = this.parseDate(range[0], position);
+      const to = this.parseDate(range[1], position + range[0].length + 2);
+      return { op: 'range', from: from.start, to: to.end, value: text };
+    }
+
+    const match = text.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const op = match[1] || '=';
+    const date = this.parseDate(match[2], position + (match[1] || '').length);
+    return { op, from: date.start, to: date.end, value: text };
+  }
+
+  // YYYY, YYYY-MM or YYYY-MM-DD as a [start, end) period
+  parseDate(text, position) {
+    const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) {
+      throw new QuerySyntaxError(`Invalid date "${text}" (use YYYY, YYYY-MM or YYYY-MM-DD)`, position);
+    }
+
+    const year = parseInt(match[1]);
+    const month = match[2] ? parseInt(match[2]) - 1 : null;
+    const day = match[3] ? parseInt(match[3]) : null;
+
+    let start;
+    let end;
+    if (day !== null) {
+      start = new Date(year, month, day);
+      end = new Date(year, month, day + 1);
+    } else if (month !== null) {
+      start = new Date(year, month, 1);
+      end = new Date(year, month + 1, 1);
+    } else {
+      start = new Date(year, 0, 1);
+      end = new Date(year + 1, 0, 1);
+    }
+
+    // Rejects 2025-13 or 2025-02-31 instead of silently rolling over
+    if (month !== null && (month > 11 || start.getMonth() !== month || (day !== null && start.getDate() !== day))) {
+      throw new QuerySyntaxError(`Invalid date "${text}"`, position);
+    }
+
+    return { start, end };
+  }
+
+  // === AST -> Mongo filter ===
+  compile(node) {
+    switch (node.type) {
+      case 'and':
+        return { $and: node.children.map(child => this.compile(child)) };
+      case 'or':
+        return { $or: node.children.map(child => this.compile(child)) };
+      case 'not':
+        return { $nor: [this.compile(node.child)] };
+      case 'term':
+      case 'phrase': {
+        const regex = new RegExp(escapeRegex(node.value), 'i');
+        return { $or: TEXT_FIELDS.map(field => ({ [field]: regex })) };
+      }
+      case 'field':
+        return this.compileField(node);
+      default:
+        return {};
+    }
+  }
+
+  compileField(node) {
+    const path = FIELDS[node.field];
+
+    if (DATE_FIELDS.has(node.field)) {
+      const ops = {
+        '=': { $gte: node.from, $lt: node.to },
+        range: { $gte: node.from, $lt: node.to },
+        '>': { $gte: node.to },
+        '>=': { $gte: node.from },
+        '<': { $lt: node.from },
+        '<=': { $lt: node.to }
+      };
+      return { [path]: ops[node.op] };
+    }
+
+    if (node.field === 'type') {
+      return { type: node.value };
+    }
+
+    // Tags and formats match whole values; text fields match anywhere
+    const exact = path === 'tags' || path === 'metadata.format';
+    const pattern = exact ? `^${escapeRegex(node.value)}$` : escapeRegex(node.value);
+    return { [path]: new RegExp(pattern, 'i') };
+  }
+
+  // Words and phrases the user wants to see (not negated), for scoring and highlights
+  positiveTerms(node, negated = false) {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return [...new Set(node.children.flatMap(child => this.positiveTerms(child, negated)))];
+      case 'not':
+        return this.positiveTerms(node.child, !negated);
+      case 'term':
+      case 'phrase':
+        return negated ? [] : [node.value];
+      default:
+        return [];
+    }
+  }
+
+  // === Token helpers ===
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  startsOperand(token) {
+    return Boolean(token) && ['(', 'NOT', 'TERM', 'PHRASE', 'FIELD'].includes(token.kind);
+  }
+
+  describe(token) {
+    if (token.kind === 'TERM' || token.kind === 'PHRASE') return `"${token.value}"`;
+    if (token.kind === 'FIELD') return `"${token.field}:"`;
+    return `"${token.kind === 'NOT' ? '-' : token.kind}"`;
+  }
+}
+
+module.exports = new QueryLanguageService();
+module.exports.QuerySyntaxError = QuerySyntaxError;
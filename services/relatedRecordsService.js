@@ -0,0 +1,173 @@
+const Record = require('../models/Record');
+const embeddingService = require('./embeddingService');
+const { RELATED_DEFAULTS } = require('../utils/constants');
+const { tokenize } = require('../utils/helpers');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [RelatedRecords.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [RelatedRecords.${method}] Data:`, data);
+}
+
+// Words that are capitalised at the start of a sentence, not because they name something
+const ENTITY_STOP_WORDS = new Set([
+  'the', 'this', 'that', 'these', 'those', 'a', 'an', 'it', 'its', 'in', 'on', 'at',
+  'for', 'and', 'but', 'or', 'with', 'from', 'to', 'of', 'image', 'photo', 'picture',
+  'document', 'file', 'note', 'video', 'audio', 'recording', 'screenshot', 'there'
+]);
+
+// Short common words that say nothing about what a record is about
+const TEXT_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'are', 'was', 'were', 'has',
+  'have', 'had', 'not', 'but', 'you', 'your', 'its', 'into', 'about', 'there', 'their',
+  'which', 'what', 'when', 'where', 'will', 'would', 'can', 'could', 'also', 'been'
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(value => { if (b.has(value)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+class RelatedRecordsService {
+  // === MAIN METHOD: records similar to this one, best first ===
+  // Uses only stored data (tags, summaries, text, stored vectors) - never calls Gemini.
+  async findRelated(record, userId, options = {}) {
+    const method = 'findRelated';
+    const { limit = RELATED_DEFAULTS.LIMIT } = options;
+
+    const [candidates, vectorSimilarity] = await Promise.all([
+      this.findCandidates(record, userId),
+      embeddingService.similarToRecord(record._id, userId)
+    ]);
+
+    const target = this.profile(record);
+    const results = candidates
+      .map(candidate => this.score(target, this.profile(candidate), vectorSimilarity.get(candidate._id.toString())))
+      .filter(result => result.score >= RELATED_DEFAULTS.MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    debugLog(method, `${results.length} related to ${record._id} (from ${candidates.length} candidates)`);
+    return results;
+  }
+
+  // Records sharing tags, sharing words, or saved around the same time
+  async findCandidates(record, userId) {
+    const base = { user: userId, _id: { $ne: record._id } };
+    const { CANDIDATE_LIMIT, TIME_WINDOW_DAYS } = RELATED_DEFAULTS;
+    const keywords = this.keywords([record.title, record.geminiSummary].join(' ')).slice(0, 20);
+    const created = new Date(record.createdAt).getTime();
+
+    const [byTags, byText, byTime] = await Promise.all([
+      record.tags && record.tags.length > 0
+        ? Record.find({ ...base, tags: { $in: record.tags } }).limit(CANDIDATE_LIMIT)
+        : [],
+      keywords.length > 0
+        ? Record.find({ ...base, $text: { $search: keywords.join(' ') } }, { score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(CANDIDATE_LIMIT)
+        : [],
+      Record.find({
+        ...base,
+        createdAt: {
+          $gte: new Date(created - TIME_WINDOW_DAYS * DAY_MS),
+          $lte: new Date(created + TIME_WINDOW_DAYS * DAY_MS)
+        }
+      })
+        .sort({ createdAt: -1 })
+        .limit(CANDIDATE_LIMIT)
+    ]);
+
+    const unique = new Map();
+    [...byTags, ...byText, ...byTime].forEach(candidate => {
+      unique.set(candidate._id.toString(), candidate);
+    });
+    return [...unique.values()];
+  }
+
+  // What similarity is measured on, computed once per record
+  profile(record) {
+    const text = [
+      record.title,
+      record.geminiSummary,
+      (record.content || record.extractedText || '').substring(0, RELATED_DEFAULTS.TEXT_CHARS)
+    ].join(' ');
+
+    const termCounts = new Map();
+    this.keywords(text).forEach(word => termCounts.set(word, (termCounts.get(word) || 0) + 1));
+
+    return {
+      record,
+      tags: new Set((record.tags || []).map(tag => tag.toLowerCase())),
+      entities: this.extractEntities(record.geminiSummary),
+      termCounts,
+      createdAt: new Date(record.createdAt).getTime()
+    };
+  }
+
+  score(target, candidate, vectorSimilarity) {
+    const { WEIGHTS, TIME_SCALE_DAYS } = RELATED_DEFAULTS;
+
+    const tagScore = jaccard(target.tags, candidate.tags);
+    const entityScore = jaccard(target.entities, candidate.entities);
+    // Stored embeddings understand meaning better; word overlap covers records without one
+    const textScore = vectorSimilarity !== undefined
+      ? Math.max(0, vectorSimilarity)
+      : this.termSimilarity(target.termCounts, candidate.termCounts);
+    const daysApart = Math.abs(target.createdAt - candidate.createdAt) / DAY_MS;
+    const timeScore = Math.pow(0.5, daysApart / TIME_SCALE_DAYS);
+
+    const score = tagScore * WEIGHTS.TAGS +
+      entityScore * WEIGHTS.ENTITIES +
+      textScore * WEIGHTS.TEXT +
+      timeScore * WEIGHTS.TIME;
+
+    return {
+      record: candidate.record,
+      score: Math.round(score * 1000) / 1000,
+      reasons: {
+        sharedTags: [...target.tags].filter(tag => candidate.tags.has(tag)),
+        sharedEntities: [...target.entities].filter(entity => candidate.entities.has(entity)),
+        textSimilarity: Math.round(textScore * 1000) / 1000,
+        textSource: vectorSimilarity !== undefined ? 'embedding' : 'words',
+        daysApart: Math.round(daysApart)
+      }
+    };
+  }
+
+  // Capitalised names, places and organisations in a Gemini summary
+  extractEntities(summary) {
+    const entities = new Set();
+    const matches = (summary || '').match(/\b[A-Z][\w&'-]*(?:\s+[A-Z][\w&'-]*)*/g) || [];
+
+    matches.forEach(match => {
+      const words = match.split(/\s+/).filter(word => !ENTITY_STOP_WORDS.has(word.toLowerCase()));
+      const entity = words.join(' ').toLowerCase();
+      if (entity.length > 2) entities.add(entity);
+    });
+
+    // Years and other long numbers identify events and documents too
+    ((summary || '').match(/\b\d{4,}\b/g) || []).forEach(number => entities.add(number));
+
+    return entities;
+  }
+
+  keywords(text) {
+    return tokenize(text).filter(word => word.length > 2 && !TEXT_STOP_WORDS.has(word));
+  }
+
+  // Cosine similarity of word counts
+  termSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let dot = 0;
+    a.forEach((count, word) => { if (b.has(word)) dot += count * b.get(word); });
+    const norm = (counts) => Math.sqrt([...counts.values()].reduce((sum, c) => sum + c * c, 0));
+    return dot / (norm(a) * norm(b));
+  }
+}
+
+module.exports = new RelatedRecordsService();
@@ -0,0 +1,105 @@
+const Record = require('../models/Record');
+const hybridSearchService = require('./hybridSearchService');
+const universalSearchService = require('./universalSearchService');
+const { SEARCH_DEFAULTS, SAVED_SEARCH_DEFAULTS } = require('../utils/constants');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [SavedSearch.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [SavedSearch.${method}] Data:`, data);
+}
+
+class SavedSearchService {
+  // === Re-run a saved search and work out what changed since last time ===
+  async run(savedSearch, options = {}) {
+    const method = 'run';
+    const {
+      page = SEARCH_DEFAULTS.PAGE,
+      limit = SEARCH_DEFAULTS.LIMIT,
+      updateCache = true
+    } = options;
+
+    const { ids, total } = savedSearch.kind === 'filters'
+      ? await this.runFilters(savedSearch)
+      : await this.runQuery(savedSearch);
+
+    // Page through the ordered ids so pages line up with the change report
+    const skip = (page - 1) * limit;
+    const pageIds = ids.slice(skip, skip + parseInt(limit));
+    const found = await Record.find({ _id: { $in: pageIds }, user: savedSearch.user });
+    const records = pageIds
+      .map(id => found.find(r => r._id.toString() === id))
+      .filter(Boolean);
+
+    const changes = this.diff(savedSearch, ids);
+
+    if (updateCache && savedSearch.cacheResults) {
+      savedSearch.lastResultIds = ids;
+      savedSearch.lastRunAt = new Date();
+      await savedSearch.save();
+    }
+
+    debugLog(method, `"${savedSearch.name}": ${total} results, +${changes ? changes.added.length : 0}/-${changes ? changes.removed.length : 0}`);
+
+    return {
+      records,
+      changes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total
+      }
+    };
+  }
+
+  async runFilters(savedSearch) {
+    const filters = savedSearch.filters ? savedSearch.filters.toObject() : {};
+    const query = universalSearchService.buildFilterQuery(filters, savedSearch.user);
+    const sort = {
+      [filters.sortBy || SEARCH_DEFAULTS.SORT_BY]: parseInt(filters.sortOrder || SEARCH_DEFAULTS.SORT_ORDER)
+    };
+
+    const matches = await Record.find(query)
+      .sort(sort)
+      .limit(SAVED_SEARCH_DEFAULTS.MAX_CACHED_IDS)
+      .select('_id');
+    const total = await Record.countDocuments(query);
+
+    return { ids: matches.map(r => r._id.toString()), total };
+  }
+
+  async runQuery(savedSearch) {
+    const hybrid = await hybridSearchService.search(savedSearch.query, savedSearch.user, {
+      limit: SAVED_SEARCH_DEFAULTS.MAX_CACHED_IDS
+    });
+    const ids = hybrid.results.map(r => r.record._id.toString());
+    return { ids, total: ids.length };
+  }
+
+  // Added/removed ids compared with the cached last run (null on the first run)
+  diff(savedSearch, ids) {
+    if (!savedSearch.lastRunAt) return null;
+
+    const previous = new Set(savedSearch.lastResultIds.map(id => id.toString()));
+    const current = new Set(ids);
+
+    return {
+      since: savedSearch.lastRunAt,
+      added: ids.filter(id => !previous.has(id)),
+      removed: [...previous].filter(id => !current.has(id))
+    };
+  }
+
+  // === Live member count for a collection ===
+  // Filter collections are counted live; query collections use the last run
+  async countMembers(savedSearch) {
+    if (savedSearch.kind === 'filters') {
+      const filters = savedSearch.filters ? savedSearch.filters.toObject() : {};
+      const count = await Record.countDocuments(universalSearchService.buildFilterQuery(filters, savedSearch.user));
+      return { count, live: true };
+    }
+    return { count: savedSearch.lastResultIds.length, live: false };
+  }
+}
+
+module.exports = new SavedSearchService();
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const SearchEvent = require('../models/SearchEvent');
+const { ANALYTICS_DEFAULTS } = require('../utils/constants');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [SearchAnalytics.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [SearchAnalytics.${method}] Data:`, data);
+}
+
+const normalizeQuery = (query) => String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : 0);
+
+class SearchAnalyticsService {
+  // === Log one search; returns its id right away, the write happens in the background ===
+  logSearch(userId, { endpoint, query, path, searchType, geminiStatus, records = [], resultCount = records.length, latencyMs }) {
+    const method = 'logSearch';
+
+    const event = new SearchEvent({
+      user: userId,
+      endpoint,
+      query: String(query || '').substring(0, 500),
+      normalized: normalizeQuery(query).substring(0, 500),
+      path,
+      searchType,
+      geminiStatus,
+      resultCount,
+      latencyMs,
+      resultIds: records.slice(0, ANALYTICS_DEFAULTS.STORED_RESULT_IDS).map(r => r._id)
+    });
+
+    // Analytics must never fail or slow down a search
+    event.save().catch(error => {
+      console.error(`[${method}] ERROR:`, error.message);
+    });
+
+    return event._id;
+  }
+
+  // === Remember which result a search led to (first open wins) ===
+  async recordOpen(userId, searchId, recordId) {
+    const event = await SearchEvent.findOne({ _id: searchId, user: userId });
+    if (!event) return null;
+    if (event.openedAt) return event;
+
+    const rank = event.resultIds.findIndex(id => id.toString() === recordId.toString());
+    event.openedRecordId = recordId;
+    event.openedRank = rank === -1 ? undefined : rank + 1;
+    event.openedAt = new Date();
+    await event.save();
+
+    debugLog('recordOpen', `Search ${searchId} opened result #${event.openedRank || '?'}`);
+    return event;
+  }
+
+  // === Top queries, zero-result queries and Gemini fallback rate ===
+  // userId null reports across all users, with a per-user breakdown
+  async getSummary({ userId = null, days = ANALYTICS_DEFAULTS.DAYS } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { createdAt: { $gte: since } };
+    if (userId) match.user = new mongoose.Types.ObjectId(userId);
+
+    const limit = ANALYTICS_DEFAULTS.TOP_QUERIES;
+    const groupQueries = [
+      { $match: { normalized: { $ne: '' } } },
+      {
+        $group: {
+          _id: '$normalized',
+          query: { $last: '$query' },
+          count: { $sum: 1 },
+          avgResults: { $avg: '$resultCount' },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1, lastSearchedAt: -1 } },
+      { $limit: limit }
+    ];
+
+    const facets = {
+      totals: [
+        {
+          $group: {
+            _id: null,
+            searches: { $sum: 1 },
+            zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+            opened: { $sum: { $cond: [{ $ifNull: ['$openedAt', false] }, 1, 0] } },
+            avgLatencyMs: { $avg: '$latencyMs' },
+            avgOpenedRank: { $avg: '$openedRank' }
+          }
+        }
+      ],
+      paths: [
+        { $group: { _id: '$path', count: { $sum: 1 } } }
+      ],
+      topQueries: groupQueries,
+      zeroResultQueries: [
+        { $match: { resultCount: 0 } },
+        ...groupQueries
+      ]
+    };
+
+    if (!userId) {
+      facets.byUser = [
+        {
+          $group: {
+            _id: '$user',
+            searches: { $sum: 1 },
+            nlSearches: { $sum: { $cond: [{ $eq: ['$endpoint', 'search'] }, 1, 0] } },
+            fallbacks: { $sum: { $cond: [{ $eq: ['$path', 'fallback'] }, 1, 0] } },
+            zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } }
+          }
+        },
+        { $sort: { searches: -1 } },
+        { $limit: limit }
+      ];
+    }
+
+    const [result] = await SearchEvent.aggregate([
+      { $match: match },
+      { $facet: facets }
+    ]);
+
+    const totals = result.totals[0] || { searches: 0, zeroResults: 0, opened: 0, avgLatencyMs: null, avgOpenedRank: null };
+    const paths = { gemini: 0, fallback: 0, advanced: 0 };
+    result.paths.forEach(p => { paths[p._id] = p.count; });
+
+    const formatQueries = (queries) => queries.map(q => ({
+      query: q.query,
+      count: q.count,
+      avgResults: Math.round(q.avgResults * 10) / 10,
+      lastSearchedAt: q.lastSearchedAt
+    }));
+
+    const summary = {
+      window: { days, since },
+      totals: {
+        searches: totals.searches,
+        zeroResultSearches: totals.zeroResults,
+        zeroResultRate: rate(totals.zeroResults, totals.searches),
+        openRate: rate(totals.opened, totals.searches),
+        avgOpenedRank: totals.avgOpenedRank ? Math.round(totals.avgOpenedRank * 10) / 10 : null,
+        avgLatencyMs: totals.avgLatencyMs ? Math.round(totals.avgLatencyMs) : null
+      },
+      paths,
+      // Share of natural-language searches Gemini didn't answer
+      geminiFallbackRate: rate(paths.fallback, paths.gemini + paths.fallback),
+      topQueries: formatQueries(result.topQueries),
+      zeroResultQueries: formatQueries(result.zeroResultQueries)
+    };
+
+    if (!userId) {
+      summary.byUser = result.byUser.map(u => ({
+        user: u._id,
+        searches: u.searches,
+        geminiFallbackRate: rate(u.fallbacks, u.nlSearches),
+        zeroResultRate: rate(u.zeroResults, u.searches)
+      }));
+    }
+
+    return summary;
+  }
+
+  // === Which path a /api/search response took ===
+  pathForSearch(data) {
+    const geminiRanked = data.ranking && data.ranking.gemini === 'ok' &&
+      data.searchType && !['fallback', 'fuzzy'].includes(data.searchType);
+    return geminiRanked ? 'gemini' : 'fallback';
+  }
+}
+
+module.exports = new SearchAnalyticsService();
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Record = require('../models/Record');
+const SearchSession = require('../models/SearchSession');
+const geminiService = require('./geminiService');
+const { SESSION_DEFAULTS, SEARCH_DEFAULTS } = require('../utils/constants');
+const { withTimeout } = require('../utils/helpers');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [SearchSession.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [SearchSession.${method}] Data:`, data);
+}
+
+// Openers that usually mean "change the last search", not "start a new one"
+const REFINEMENT_PATTERN = /^(no|nope|not|only|just|actually|instead|the one|the other|what about|and|but|also|without|except|from|in|with)\b/i;
+const NARROWING_PATTERN = /^(only|just|the one|the other|which|first|second|third|last)\b/i;
+
+class SearchSessionService {
+  // === Load an existing session, or start a new one ===
+  async getOrCreate(userId, sessionId, firstQuery) {
+    if (sessionId) {
+      if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+      return SearchSession.findOne({ _id: sessionId, user: userId });
+    }
+
+    return new SearchSession({
+      user: userId,
+      title: firstQuery.substring(0, 200),
+      turns: []
+    });
+  }
+
+  // === Turn a follow-up into a standalone query using the session history ===
+  async interpretQuery(session, query) {
+    const method = 'interpretQuery';
+    const lastTurn = session.turns[session.turns.length - 1];
+
+    // First turn: nothing to interpret against
+    if (!lastTurn) {
+      return { interpretedQuery: query, scope: 'all', restrictToIds: null };
+    }
+
+    const history = await this.buildHistory(session);
+    // Same deadline as the ranking: retries inside the provider call must not hold up the search
+    let interpretation = await withTimeout(
+      geminiService.interpretFollowUp(query, history, { userId: session.user }),
+      SEARCH_DEFAULTS.GEMINI_TIMEOUT_MS,
+      'Follow-up interpretation'
+    ).catch(error => {
+      debugLog(method, `Gemini interpretation failed: ${error.message}`);
+      return null;
+    });
+
+    if (!interpretation) {
+      interpretation = this.interpretHeuristically(query, lastTurn);
+      debugLog(method, `Gemini unavailable, heuristic: "${interpretation.query}" (${interpretation.scope})`);
+    }
+
+    const restrictToIds = interpretation.scope === 'previous_results' && lastTurn.resultIds.length > 0
+      ? lastTurn.resultIds
+      : null;
+
+    return {
+      interpretedQuery: interpretation.query,
+      scope: restrictToIds ? 'previous_results' : 'all',
+      restrictToIds
+    };
+  }
+
+  // Recent turns with the titles of what was shown, oldest first
+  async buildHistory(session) {
+    const turns = session.turns.slice(-SESSION_DEFAULTS.HISTORY_TURNS);
+    const shownIds = turns.flatMap(t => t.resultIds.slice(0, SESSION_DEFAULTS.RESULT_TITLES));
+    const records = await Record.find({ _id: { $in: shownIds }, user: session.user }).select('_id title type createdAt');
+    const byId = new Map(records.map(r => [r._id.toString(), r]));
+
+    return turns.map(turn => ({
+      query: turn.query,
+      searchedFor: turn.interpretedQuery,
+      shownFiles: turn.resultIds
+        .slice(0, SESSION_DEFAULTS.RESULT_TITLES)
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .map(r => `${r.title} (${r.type}, ${r.createdAt.toISOString().split('T')[0]})`)
+    }));
+  }
+
+  // Without Gemini: short refinements are appended to the previous query
+  interpretHeuristically(query, lastTurn) {
+    const previous = lastTurn.interpretedQuery || lastTurn.query;
+    const isShort = query.split(/\s+/).length <= 6;
+
+    if (isShort && REFINEMENT_PATTERN.test(query.trim())) {
+      return {
+        query: `${previous} ${query.replace(/^(no|nope|actually),?\s*/i, '')}`.trim(),
+        scope: NARROWING_PATTERN.test(query.trim()) ? 'previous_results' : 'all'
+      };
+    }
+
+    return { query, scope: 'all' };
+  }
+
+  // === Store a turn and the results it showed ===
+  async addTurn(session, turn) {
+    const resultIds = (turn.resultIds || []).map(id => id.toString());
+
+    session.turns.push({ ...turn, resultIds });
+    if (session.turns.length > SESSION_DEFAULTS.MAX_TURNS) {
+      session.turns = session.turns.slice(-SESSION_DEFAULTS.MAX_TURNS);
+    }
+
+    // Most recently shown last, capped so a long session doesn't grow forever
+    const fresh = new Set(resultIds);
+    session.shownRecordIds = [
+      ...session.shownRecordIds.map(id => id.toString()).filter(id => !fresh.has(id)),
+      ...fresh
+    ].slice(-SESSION_DEFAULTS.MAX_SHOWN_IDS);
+
+    await session.save();
+    return session;
+  }
+}
+
+module.exports = new SearchSessionService();
@@ -0,0 +1,112 @@
+const Record = require('../models/Record');
+const QueryHistory = require('../models/QueryHistory');
+const { SUGGEST_DEFAULTS } = require('../utils/constants');
+const { escapeRegex, withTimeout } = require('../utils/helpers');
+
+const normalizeQuery = (query) => query.toLowerCase().replace(/\s+/g, ' ').trim();
+
+class SuggestService {
+  // === Prefix suggestions from titles, tags and recent queries ===
+  // Each source runs under the time budget; a slow one is dropped, not waited for
+  async suggest(userId, prefix) {
+    const started = Date.now();
+    const normalized = normalizeQuery(prefix || '');
+    const budget = SUGGEST_DEFAULTS.TIME_BUDGET_MS;
+
+    const sources = normalized.length >= SUGGEST_DEFAULTS.MIN_PREFIX_LENGTH
+      ? {
+          titles: this.suggestTitles(userId, normalized, budget),
+          tags: this.suggestTags(userId, normalized, budget),
+          queries: this.suggestQueries(userId, normalized, budget)
+        }
+      : { queries: this.suggestQueries(userId, '', budget) }; // Empty box: recent searches only
+
+    const names = Object.keys(sources);
+    const settled = await Promise.allSettled(
+      names.map(name => withTimeout(sources[name], budget + 50, `Suggest ${name}`))
+    );
+
+    const result = { titles: [], tags: [], queries: [] };
+    const skipped = [];
+    settled.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        result[names[i]] = outcome.value;
+      } else {
+        skipped.push(names[i]);
+      }
+    });
+
+    return {
+      ...result,
+      partial: skipped.length > 0,
+      skipped,
+      tookMs: Date.now() - started
+    };
+  }
+
+  async suggestTitles(userId, prefix, budget) {
+    const regex = new RegExp(`^${escapeRegex(prefix)}`);
+
+    // titleLower is indexed; the title fallback covers records saved before it existed
+    const records = await Record.find({
+      user: userId,
+      $or: [
+        { titleLower: regex },
+        { titleLower: { $exists: false }, title: new RegExp(`^${escapeRegex(prefix)}`, 'i') }
+      ]
+    })
+      .select('_id title type')
+      .sort({ createdAt: -1 })
+      .limit(SUGGEST_DEFAULTS.TITLE_LIMIT)
+      .maxTimeMS(budget)
+      .lean();
+
+    return records.map(r => ({ id: r._id, title: r.title, type: r.type }));
+  }
+
+  async suggestTags(userId, prefix, budget) {
+    const regex = new RegExp(`^${escapeRegex(prefix)}`, 'i');
+
+    const tags = await Record.aggregate([
+      { $match: { user: userId, tags: regex } },
+      { $unwind: '$tags' },
+      { $match: { tags: regex } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: SUGGEST_DEFAULTS.TAG_LIMIT }
+    ]).option({ maxTimeMS: budget });
+
+    return tags.map(t => ({ tag: t._id, count: t.count }));
+  }
+
+  async suggestQueries(userId, prefix, budget) {
+    const query = { user: userId };
+    if (prefix) query.normalized = new RegExp(`^${escapeRegex(prefix)}`);
+
+    const history = await QueryHistory.find(query)
+      .select('query count lastUsedAt')
+      .sort({ lastUsedAt: -1 })
+      .limit(SUGGEST_DEFAULTS.QUERY_LIMIT)
+      .maxTimeMS(budget)
+      .lean();
+
+    return history.map(h => ({ query: h.query, count: h.count, lastUsedAt: h.lastUsedAt }));
+  }
+
+  // === Remember a query for future suggestions ===
+  async recordQuery(userId, query) {
+    const normalized = normalizeQuery(query);
+    if (!normalized) return;
+
+    await QueryHistory.updateOne(
+      { user: userId, normalized },
+      {
+        $set: { query: query.trim(), lastUsedAt: new Date() },
+        $inc: { count: 1 }
+      },
+      { upsert: true }
+    );
+  }
+}
+
+module.exports = new SuggestService();
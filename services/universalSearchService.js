@@ -1,3 +1,6 @@
+const queryLanguageService = require('./queryLanguageService');
+const { escapeRegex } = require('../utils/helpers');
+
 const STOP_WORDS = new Set([
   'a', 'an', 'the', 'and', 'or', 'but', 'if', 'because', 'as', 'what',
   'which', 'this', 'that', 'these', 'those', 'then', 'just', 'so', 'than',
@@ -5,7 +8,8 @@ const STOP_WORDS = new Set([
   'to', 'from', 'in', 'on', 'at', 'by', 'with', 'without', 'near', 'under',
   'over', 'above', 'below', 'into', 'onto', 'upon', 'find', 'show', 'get',
   'want', 'need', 'looking', 'search', 'picture', 'photo', 'image', 'video',
-  'audio', 'recording', 'document', 'file', 'record', 'my', 'your', 'the'
+  'audio', 'recording', 'document', 'file', 'record', 'my', 'your', 'the',
+  'saved', 'uploaded', 'added', 'took', 'taken', 'sent', 'made'
 ]);
 
 // Word importance scoring
@@ -18,6 +22,149 @@ const WORD_WEIGHTS = {
   isStopWord: 0
 };
 
+// Words that mean "records of this type" (plurals are matched too)
+const TYPE_PATTERNS = {
+  image: ['picture', 'photo', 'image', 'screenshot', 'pic', 'jpg', 'png', 'gif'],
+  video: ['video', 'movie', 'clip', 'recording', 'mp4', 'mov', 'avi'],
+  audio: ['audio', 'sound', 'music', 'song', 'podcast', 'mp3', 'wav'],
+  note: ['note', 'text', 'document', 'doc', 'pdf', 'memo', 'letter'],
+  link: ['link', 'url', 'website', 'page', 'bookmark', 'site']
+};
+
+const TYPE_LABELS = {
+  image: 'Images',
+  video: 'Videos',
+  audio: 'Audio',
+  note: 'Notes',
+  link: 'Links'
+};
+
+// === Natural-language date parsing ===
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const FULL_MONTH = `(${MONTH_NAMES.join('|')})`;
+const DATE_PREFIX = '(?:(since|after|before|from|in|on|during)\\s+)?';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthIndex = (name) => MONTH_NAMES.findIndex(m => m.startsWith(name.toLowerCase().substring(0, 3)));
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const startOfWeek = (date) => addDays(startOfDay(date), -((date.getDay() + 6) % 7)); // Monday
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const formatDay = (date) => `${capitalize(MONTH_NAMES[date.getMonth()])} ${date.getDate()}, ${date.getFullYear()}`;
+
+// Each rule returns a [from, to) range, or null when it doesn't really apply
+const DATE_RULES = [
+  {
+    pattern: '(\\d{4})-(\\d{1,2})-(\\d{1,2})',
+    resolve: ([year, month, day]) => {
+      const from = new Date(+year, +month - 1, +day);
+      return { from, to: addDays(from, 1), label: formatDay(from) };
+    }
+  },
+  {
+    pattern: '(today|yesterday)',
+    resolve: ([word], now) => {
+      const from = addDays(startOfDay(now), word.toLowerCase() === 'today' ? 0 : -1);
+      return { from, to: addDays(from, 1), label: capitalize(word.toLowerCase()) };
+    }
+  },
+  {
+    pattern: '(?:the\\s+)?(last|past)\\s+(\\d{1,3})\\s+(day|week|month|year)s?',
+    resolve: ([, count, unit], now) => {
+      const n = parseInt(count);
+      const today = startOfDay(now);
+      const from = {
+        day: addDays(today, -(n - 1)),
+        week: addDays(today, -7 * n),
+        month: new Date(today.getFullYear(), today.getMonth() - n, today.getDate()),
+        year: new Date(today.getFullYear() - n, today.getMonth(), today.getDate())
+      }[unit.toLowerCase()];
+      return { from, to: addDays(today, 1), label: `Past ${n} ${unit.toLowerCase()}${n > 1 ? 's' : ''}` };
+    }
+  },
+  {
+    pattern: '(?:the\\s+)?(this|last|past|previous)\\s+(week|month|year)',
+    resolve: ([which, unit], now) => {
+      const today = startOfDay(now);
+      const tomorrow = addDays(today, 1);
+      which = which.toLowerCase();
+      unit = unit.toLowerCase();
+      const label = `${capitalize(which)} ${unit}`;
+      
+      if (unit === 'week') {
+        if (which === 'this') return { from: startOfWeek(now), to: tomorrow, label };
+        if (which === 'past') return { from: addDays(today, -6), to: tomorrow, label };
+        return { from: addDays(startOfWeek(now), -7), to: startOfWeek(now), label };
+      }
+      if (unit === 'month') {
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+        if (which === 'this') return { from: monthStart, to: tomorrow, label };
+        if (which === 'past') return { from: new Date(now.getFullYear(), now.getMonth() - 1, now.getDate()), to: tomorrow, label };
+        return { from: new Date(now.getFullYear(), now.getMonth() - 1, 1), to: monthStart, label };
+      }
+      const yearStart = new Date(now.getFullYear(), 0, 1);
+      if (which === 'this') return { from: yearStart, to: tomorrow, label };
+      if (which === 'past') return { from: new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()), to: tomorrow, label };
+      return { from: new Date(now.getFullYear() - 1, 0, 1), to: yearStart, label };
+    }
+  },
+  {
+    // "March 5", "March 5th, 2025"
+    pattern: `${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`,
+    resolve: ([month, day, year], now) => dayRange(monthIndex(month), +day, year, now)
+  },
+  {
+    // "5 March", "5th of March 2025"
+    pattern: `(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?`,
+    resolve: ([day, month, year], now) => dayRange(monthIndex(month), +day, year, now)
+  },
+  {
+    // "January 2025"
+    pattern: `${MONTH},?\\s+(\\d{4})`,
+    resolve: ([month, year]) => {
+      const from = new Date(+year, monthIndex(month), 1);
+      return { from, to: new Date(+year, monthIndex(month) + 1, 1), label: `${capitalize(MONTH_NAMES[from.getMonth()])} ${year}` };
+    }
+  },
+  {
+    // "in March": the most recent March. Bare "may" is too often a verb.
+    pattern: FULL_MONTH,
+    resolve: ([month], now, prefix) => {
+      if (month.toLowerCase() === 'may' && !prefix) return null;
+      const index = monthIndex(month);
+      const year = index > now.getMonth() ? now.getFullYear() - 1 : now.getFullYear();
+      const from = new Date(year, index, 1);
+      return { from, to: new Date(year, index + 1, 1), label: `${capitalize(MONTH_NAMES[index])} ${year}` };
+    }
+  },
+  {
+    // "in 2024" - a bare number needs a preposition to count as a year
+    pattern: '((?:19|20)\\d{2})',
+    resolve: ([year], now, prefix) => {
+      if (!prefix) return null;
+      return { from: new Date(+year, 0, 1), to: new Date(+year + 1, 0, 1), label: year };
+    }
+  }
+];
+
+// A single day, defaulting to its most recent occurrence when no year is given
+function dayRange(month, day, year, now) {
+  if (month < 0 || day < 1 || day > 31) return null;
+  let from = new Date(year ? +year : now.getFullYear(), month, day);
+  if (!year && from > now) from = new Date(now.getFullYear() - 1, month, day);
+  return { from, to: addDays(from, 1), label: formatDay(from) };
+}
+
+// How much a match in each field counts (best field first)
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  geminiSummary: 1.5,
+  content: 1,
+  extractedText: 0.8
+};
+
 class UniversalSearchService {
   
   // === MAIN METHOD: Process ANY search query universally ===
@@ -25,29 +172,72 @@ class UniversalSearchService {
     const {
       userTypes = [],  // Record types user wants
       userId = null,
+      removedFilters = [], // Filter chip ids the user dismissed
+      now = new Date(),
       includeTier1 = true,
       includeTier2 = true,
       includeTier3 = true
     } = options;
     
-    // 1. First, intelligently parse the query
-    const parsedQuery = await this.intelligentQueryParser(query, userTypes);
+    // Field prefixes, negation, OR groups: compile the query instead of interpreting it
+    if (queryLanguageService.hasSyntax(query)) {
+      return this.processSyntaxQuery(query, { userId, userTypes });
+    }
+    
+    // 1. Pull date and type filters out of the query
+    const { filters, remainingQuery } = this.extractFilters(query, { userTypes, now });
+    const activeFilters = filters.filter(f => !removedFilters.includes(f.id));
+    
+    // 2. Intelligently parse what's left
+    const parsedQuery = await this.intelligentQueryParser(remainingQuery, userTypes);
+    parsedQuery.original = query;
+    parsedQuery.filters = activeFilters;
+    parsedQuery.detectedTypes = activeFilters.filter(f => f.kind === 'type').map(f => f.value);
     
-    // 2. Generate smart search patterns based on parsed query
+    // 3. Generate smart search patterns based on parsed query
     const searchPatterns = this.generateSmartPatterns(parsedQuery);
     
-    // 3. Build weighted MongoDB query
+    // 4. Build weighted MongoDB query
     const mongoQuery = this.buildWeightedQuery(searchPatterns, userId);
     
-    // 4. Apply type filters intelligently
-    if (parsedQuery.detectedTypes.length > 0) {
-      mongoQuery.type = { $in: parsedQuery.detectedTypes };
-    }
+    // 5. Apply date and type filters
+    const filterQuery = this.buildFilterConditions(activeFilters);
+    Object.assign(mongoQuery, filterQuery);
     
     return {
       parsedQuery,
       searchPatterns,
-      mongoQuery
+      mongoQuery,
+      filterQuery,
+      rankingQuery: query
+    };
+  }
+  
+  // === Query-language path (tag:x -draft "a b" created:>2025-01-01) ===
+  // The compiled expression is a hard filter; free-text terms still drive scoring.
+  // Throws QuerySyntaxError with the position of the problem.
+  async processSyntaxQuery(query, options = {}) {
+    const { userId = null, userTypes = [] } = options;
+    
+    const { ast, filter, terms } = queryLanguageService.parse(query);
+    const freeText = terms.map(t => (t.includes(' ') ? `"${t}"` : t)).join(' ');
+    
+    const parsedQuery = await this.intelligentQueryParser(terms.join(' '), userTypes);
+    parsedQuery.original = query;
+    parsedQuery.filters = [];
+    parsedQuery.detectedTypes = [];
+    parsedQuery.syntax = ast;
+    
+    const searchPatterns = this.generateSmartPatterns(parsedQuery);
+    
+    return {
+      parsedQuery,
+      searchPatterns,
+      // Each free-text term is already an $or over the text fields inside the compiled filter,
+      // in its place in the expression - ANDing the patterns on top would break "a OR b"
+      mongoQuery: { user: userId, ...filter },
+      filterQuery: filter,
+      rankingQuery: freeText // Gemini only sees the words, not the operators
     };
   }
   
@@ -121,23 +311,84 @@ class UniversalSearchService {
   
   // === Detect file types from query ===
   detectFileTypes(query, userTypes) {
-    const typePatterns = {
-      image: ['picture', 'photo', 'image', 'screenshot', 'pic', 'jpg', 'png', 'gif'],
-      video: ['video', 'movie', 'clip', 'recording', 'mp4', 'mov', 'avi'],
-      audio: ['audio', 'sound', 'music', 'song', 'podcast', 'mp3', 'wav'],
-      note: ['note', 'text', 'document', 'doc', 'pdf', 'memo', 'letter'],
-      link: ['link', 'url', 'website', 'page', 'bookmark', 'site']
+    // If user specified types, use those instead
+    if (userTypes.length > 0) return userTypes;
+    return this.detectTypeFilters(query).map(match => match.type);
+  }
+  
+  // Type words found in the query, matched as whole words ("doc" not "doctor")
+  detectTypeFilters(query) {
+    const matches = [];
+    for (const [type, patterns] of Object.entries(TYPE_PATTERNS)) {
+      const words = patterns
+        .map(pattern => query.match(new RegExp(`\\b${pattern}s?\\b`, 'i')))
+        .filter(Boolean)
+        .map(match => match[0]);
+      if (words.length > 0) {
+        matches.push({ type, words });
+      }
+    }
+    return matches;
+  }
+  
+  // === Date and type filters as removable chips ===
+  extractFilters(query, options = {}) {
+    const { userTypes = [], now = new Date() } = options;
+    const filters = [];
+    let remainingQuery = query;
+    
+    const dateRange = this.detectDateRange(query, now);
+    if (dateRange) {
+      filters.push({
+        id: 'date',
+        kind: 'date',
+        label: dateRange.label,
+        text: dateRange.text,
+        from: dateRange.from,
+        to: dateRange.to
+      });
+      remainingQuery = remainingQuery.replace(dateRange.text, ' ');
+    }
+    
+    const typeMatches = userTypes.length > 0
+      ? userTypes.map(type => ({ type, words: [] }))
+      : this.detectTypeFilters(remainingQuery);
+    
+    typeMatches.forEach(({ type, words }) => {
+      filters.push({
+        id: `type:${type}`,
+        kind: 'type',
+        label: TYPE_LABELS[type] || type,
+        text: words[0] || null,
+        value: type
+      });
+      // The type is now a filter, so its words shouldn't also be required keywords
+      words.forEach(word => {
+        remainingQuery = remainingQuery.replace(new RegExp(`\\b${word}\\b`, 'gi'), ' ');
+      });
+    });
+    
+    return {
+      filters,
+      remainingQuery: remainingQuery.replace(/\s+/g, ' ').trim()
     };
+  }
+  
+  // Mongo conditions for active filter chips
+  buildFilterConditions(filters) {
+    const conditions = {};
     
-    const detectedTypes = [];
-    for (const [type, patterns] of Object.entries(typePatterns)) {
-      if (patterns.some(pattern => query.includes(pattern))) {
-        detectedTypes.push(type);
-      }
+    const types = filters.filter(f => f.kind === 'type').map(f => f.value);
+    if (types.length > 0) conditions.type = { $in: types };
+    
+    const date = filters.find(f => f.kind === 'date');
+    if (date && (date.from || date.to)) {
+      conditions.createdAt = {};
+      if (date.from) conditions.createdAt.$gte = date.from;
+      if (date.to) conditions.createdAt.$lt = date.to;
     }
     
-    // If user specified types, use those instead
-    return userTypes.length > 0 ? userTypes : detectedTypes;
+    return conditions;
   }
   
   // === Score words by importance ===
@@ -265,7 +516,7 @@ class UniversalSearchService {
     
     patterns.sort((a, b) => b.weight - a.weight).forEach(pattern => {
       // Create conditions for each searchable field
-      ['title', 'geminiSummary', 'content', 'tags'].forEach(field => {
+      ['title', 'geminiSummary', 'content', 'tags', 'extractedText'].forEach(field => {
         should.push({
           [field]: pattern.condition
         });
@@ -283,7 +534,7 @@ class UniversalSearchService {
       const highWeightConditions = patterns
         .filter(p => p.weight >= 7)
         .flatMap(p => 
-          ['title', 'geminiSummary', 'content', 'tags'].map(field => ({
+          ['title', 'geminiSummary', 'content', 'tags', 'extractedText'].map(field => ({
             [field]: p.condition
           }))
         );
@@ -300,6 +551,57 @@ class UniversalSearchService {
     return query;
   }
   
+  // === STEP 4: Score a matched record against the search patterns ===
+  scoreRecord(record, patterns) {
+    let score = 0;
+    const reasons = [];
+    const explained = new Set();
+    
+    patterns.forEach(pattern => {
+      // Each pattern only counts once, in the best field it matches
+      for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+        const value = field === 'tags' ? (record.tags || []).join(' ') : record[field];
+        if (value && pattern.condition.test(value)) {
+          score += pattern.weight * fieldWeight;
+          // Stemmed/partial variants of an already explained value add score, not noise
+          if (!explained.has(pattern.value)) {
+            explained.add(pattern.value);
+            reasons.push(`${pattern.type} match "${pattern.value}" in ${field}`);
+          }
+          break;
+        }
+      }
+    });
+    
+    return { score, reasons };
+  }
+  
+  // === Filter query from advancedSearch fields (keywords, types, dates, tags) ===
+  buildFilterQuery(filters = {}, userId) {
+    const { keywords = [], types = [], dateFrom, dateTo, tags = [] } = filters;
+    const query = { user: userId };
+    
+    if (keywords.length > 0) {
+      // Keywords are literal text, never regex syntax
+      query.$or = keywords.flatMap(k => [
+        { title: { $regex: escapeRegex(k), $options: 'i' } },
+        { geminiSummary: { $regex: escapeRegex(k), $options: 'i' } }
+      ]);
+    }
+    
+    if (types.length > 0) query.type = { $in: types };
+    
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+    
+    if (tags.length > 0) query.tags = { $all: tags };
+    
+    return query;
+  }
+  
   // === Utility methods ===
   getWordCommonality(word) {
     // Simple commonality score (can be replaced with actual word frequency data)
@@ -322,6 +624,35 @@ class UniversalSearchService {
     return datePatterns.some(pattern => pattern.test(query));
   }
   
+  // === Turn a date phrase into a real createdAt range ===
+  // Returns { from, to, label, text } with `to` exclusive, or null
+  detectDateRange(query, now = new Date()) {
+    for (const rule of DATE_RULES) {
+      const match = query.match(new RegExp(`\\b${DATE_PREFIX}${rule.pattern}\\b`, 'i'));
+      if (!match) continue;
+      
+      const prefix = match[1] ? match[1].toLowerCase() : null;
+      const range = rule.resolve(match.slice(2), now, prefix);
+      if (!range || isNaN(range.from)) continue;
+      
+      const result = { ...range, text: match[0] };
+      if (prefix === 'since') {
+        result.to = null;
+        result.label = `Since ${range.label}`;
+      } else if (prefix === 'after') {
+        result.from = range.to;
+        result.to = null;
+        result.label = `After ${range.label}`;
+      } else if (prefix === 'before') {
+        result.from = null;
+        result.to = range.from;
+        result.label = `Before ${range.label}`;
+      }
+      return result;
+    }
+    return null;
+  }
+  
   detectLocation(query) {
     // Simple location detection
     const locationPatterns = [
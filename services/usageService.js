@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const AiUsage = require('../models/AiUsage');
+const { USAGE_DEFAULTS, ERROR_MESSAGES, HTTP_STATUS } = require('../utils/constants');
+
+const debugLog = (method, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [Usage.${method}] ${message}`);
+  if (data) console.log(`[${timestamp}] [Usage.${method}] Data:`, data);
+}
+
+// 0 (or a negative number) in the environment turns a quota off
+const quotaFromEnv = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : parseInt(value);
+};
+
+// Quota periods are UTC days and calendar months
+const startOfDay = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+const startOfMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+class UsageService {
+  constructor() {
+    this.quotas = {
+      daily: quotaFromEnv('AI_DAILY_TOKEN_QUOTA', USAGE_DEFAULTS.DAILY_TOKEN_QUOTA),
+      monthly: quotaFromEnv('AI_MONTHLY_TOKEN_QUOTA', USAGE_DEFAULTS.MONTHLY_TOKEN_QUOTA)
+    };
+  }
+
+  estimateTokens(chars) {
+    return Math.ceil(chars / USAGE_DEFAULTS.CHARS_PER_TOKEN);
+  }
+
+  // === Log one provider call; the write happens in the background ===
+  record(userId, { purpose, provider, model, inputChars = 0, outputChars = 0, inputTokens, outputTokens, extraInputTokens = 0, failed = false }) {
+    const method = 'record';
+    const estimated = inputTokens === undefined || outputTokens === undefined;
+
+    const usage = new AiUsage({
+      user: userId,
+      purpose,
+      provider,
+      model,
+      inputChars,
+      outputChars,
+      inputTokens: inputTokens !== undefined ? inputTokens : this.estimateTokens(inputChars) + extraInputTokens,
+      outputTokens: outputTokens !== undefined ? outputTokens : this.estimateTokens(outputChars),
+      estimated,
+      failed
+    });
+
+    // Metering must never fail an AI call that already succeeded
+    usage.save().catch(error => {
+      console.error(`[${method}] ERROR:`, error.message);
+    });
+
+    return usage;
+  }
+
+  // Tokens used since `since`
+  async tokensSince(userId, since) {
+    const [totals] = await AiUsage.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), createdAt: { $gte: since } } },
+      { $group: { _id: null, tokens: { $sum: { $add: ['$inputTokens', '$outputTokens'] } } } }
+    ]);
+    return totals ? totals.tokens : 0;
+  }
+
+  // === Daily and monthly quota state ===
+  async checkQuota(userId) {
+    const now = new Date();
+    const dayStart = startOfDay(now);
+    const monthStart = startOfMonth(now);
+
+    const [daily, monthly] = await Promise.all([
+      this.quotas.daily > 0 ? this.tokensSince(userId, dayStart) : 0,
+      this.quotas.monthly > 0 ? this.tokensSince(userId, monthStart) : 0
+    ]);
+
+    const periods = {
+      daily: {
+        used: daily,
+        limit: this.quotas.daily > 0 ? this.quotas.daily : null,
+        resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)
+      },
+      monthly: {
+        used: monthly,
+        limit: this.quotas.monthly > 0 ? this.quotas.monthly : null,
+        resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+      }
+    };
+
+    // The monthly quota wins when both are used up: it resets later
+    const exceeded = ['monthly', 'daily'].find(period => periods[period].limit !== null && periods[period].used >= periods[period].limit);
+
+    return {
+      allowed: !exceeded,
+      exceeded: exceeded || null,
+      resetsAt: exceeded ? periods[exceeded].resetsAt : null,
+      ...periods
+    };
+  }
+
+  // Throws a 429 error when the user is out of AI quota
+  async assertQuota(userId) {
+    const quota = await this.checkQuota(userId);
+    if (!quota.allowed) {
+      debugLog('assertQuota', `User ${userId} is over the ${quota.exceeded} AI quota`);
+      throw this.quotaError(quota);
+    }
+    return quota;
+  }
+
+  quotaError(quota) {
+    const error = new Error(quota.exceeded === 'daily'
+      ? ERROR_MESSAGES.AI_DAILY_QUOTA_EXCEEDED
+      : ERROR_MESSAGES.AI_MONTHLY_QUOTA_EXCEEDED);
+    error.name = 'QuotaExceededError';
+    error.code = 'QUOTA_EXCEEDED';
+    error.statusCode = HTTP_STATUS.TOO_MANY_REQUESTS;
+    error.quota = quota;
+    return error;
+  }
+
+  // === Consumption shown to the user: quotas plus this month by purpose and by day ===
+  async getUsage(userId) {
+    const quota = await this.checkQuota(userId);
+    const monthStart = startOfMonth(new Date());
+
+    const [breakdown] = await AiUsage.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), createdAt: { $gte: monthStart } } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                calls: { $sum: 1 },
+                inputTokens: { $sum: '$inputTokens' },
+                outputTokens: { $sum: '$outputTokens' },
+                inputChars: { $sum: '$inputChars' },
+                outputChars: { $sum: '$outputChars' }
+              }
+            }
+          ],
+          byPurpose: [
+            {
+              $group: {
+                _id: '$purpose',
+                calls: { $sum: 1 },
+                tokens: { $sum: { $add: ['$inputTokens', '$outputTokens'] } }
+              }
+            },
+            { $sort: { tokens: -1 } }
+          ],
+          byModel: [
+            {
+              $group: {
+                _id: { provider: '$provider', model: '$model' },
+                calls: { $sum: 1 },
+                tokens: { $sum: { $add: ['$inputTokens', '$outputTokens'] } }
+              }
+            },
+            { $sort: { tokens: -1 } }
+          ],
+          byDay: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                calls: { $sum: 1 },
+                tokens: { $sum: { $add: ['$inputTokens', '$outputTokens'] } }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = breakdown.totals[0] || { calls: 0, inputTokens: 0, outputTokens: 0, inputChars: 0, outputChars: 0 };
+    delete totals._id;
+
+    const remaining = (period) => (period.limit === null ? null : Math.max(0, period.limit - period.used));
+
+    return {
+      quota: {
+        allowed: quota.allowed,
+        exceeded: quota.exceeded,
+        daily: { ...quota.daily, remaining: remaining(quota.daily) },
+        monthly: { ...quota.monthly, remaining: remaining(quota.monthly) }
+      },
+      month: {
+        since: monthStart,
+        ...totals,
+        byPurpose: breakdown.byPurpose.map(p => ({ purpose: p._id, calls: p.calls, tokens: p.tokens })),
+        byModel: breakdown.byModel.map(m => ({ ...m._id, calls: m.calls, tokens: m.tokens })),
+        byDay: breakdown.byDay.map(d => ({ date: d._id, calls: d.calls, tokens: d.tokens }))
+      }
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -3,12 +3,15 @@ module.exports = {
   HTTP_STATUS: {
     OK: 200,
     CREATED: 201,
+    ACCEPTED: 202,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     CONFLICT: 409,
-    INTERNAL_SERVER_ERROR: 500
+    TOO_MANY_REQUESTS: 429,
+    INTERNAL_SERVER_ERROR: 500,
+    SERVICE_UNAVAILABLE: 503
   },
 
   // Error Messages
@@ -25,6 +28,19 @@ module.exports = {
     UPLOAD_FAILED: 'File upload failed',
     INVALID_FILE_TYPE: 'Invalid file type',
     FILE_TOO_LARGE: 'File size exceeds limit',
+    ENRICHMENT_IN_PROGRESS: 'This record is already being analyzed',
+    PAGE_OUT_OF_RANGE: 'That page does not exist in this document',
+    
+    // Search errors
+    SESSION_NOT_FOUND: 'Search session not found',
+    SAVED_SEARCH_NOT_FOUND: 'Saved search not found',
+    SAVED_SEARCH_EXISTS: 'A saved search with this name already exists',
+    SEARCH_EVENT_NOT_FOUND: 'Search not found',
+    ANALYTICS_FORBIDDEN: 'Overall analytics are restricted to administrators',
+    
+    // AI usage errors
+    AI_DAILY_QUOTA_EXCEEDED: 'Daily AI usage limit reached. It resets at midnight UTC.',
+    AI_MONTHLY_QUOTA_EXCEEDED: 'Monthly AI usage limit reached. It resets on the 1st of next month.',
     
     // Validation errors
     VALIDATION_ERROR: 'Validation failed',
@@ -41,7 +57,24 @@ module.exports = {
     ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
     ALLOWED_AUDIO_TYPES: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4'],
     ALLOWED_VIDEO_TYPES: ['video/mp4', 'video/webm', 'video/ogg'],
-    ALLOWED_DOCUMENT_TYPES: ['text/plain', 'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+    ALLOWED_DOCUMENT_TYPES: [
+      'text/plain',
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'text/markdown',
+      'text/x-markdown',
+      'text/html',
+      'text/csv',
+      'application/rtf',
+      'text/rtf',
+      'application/epub+zip',
+      'application/json'
+    ],
+    // Types browsers send when they don't know the format; the file extension decides instead
+    GENERIC_MIME_TYPES: ['', 'application/octet-stream', 'application/vnd.ms-excel', 'text/x-csv', 'application/x-rtf']
   },
 
   // Record types
@@ -52,7 +85,207 @@ module.exports = {
     LIMIT: 20,
     PAGE: 1,
     SORT_BY: 'createdAt',
-    SORT_ORDER: -1
+    SORT_ORDER: -1,
+    GEMINI_TIMEOUT_MS: 8000, // Don't let a slow model hold up search
+    LEXICAL_CANDIDATE_LIMIT: 100
+  },
+
+  // How much each ranking signal counts in hybrid search (0-1 each)
+  HYBRID_WEIGHTS: {
+    GEMINI: 0.6,
+    LEXICAL: 0.4
+  },
+
+  // Text/vision/JSON model behind geminiService (AI_PROVIDER=gemini|local)
+  AI_PROVIDER_DEFAULTS: {
+    GEMINI_MODEL: 'gemini-2.5-flash',
+    LOCAL_MODEL: 'local-deterministic-v1',
+    LOCAL_SUMMARY_CHARS: 400
+  },
+
+  // Timeouts, retries and circuit breaker around every AI provider call
+  AI_RESILIENCE_DEFAULTS: {
+    TIMEOUT_MS: 30000, // Per attempt (image analysis is the slowest call)
+    MAX_RETRIES: 2, // Extra attempts for timeouts, 429s, 5xx and network errors
+    RETRY_BASE_MS: 500,
+    RETRY_MAX_MS: 4000,
+    BREAKER_FAILURE_THRESHOLD: 5, // Consecutive retryable failures before calls stop
+    BREAKER_COOLDOWN_MS: 60000 // How long calls stay stopped before one is tried again
+  },
+
+  // Limits on what user content can make the model do
+  PROMPT_SAFETY_DEFAULTS: {
+    MAX_SUMMARY_LENGTH: 4000,
+    MAX_TITLE_LENGTH: 100,
+    MAX_QUERY_LENGTH: 500,
+    MIN_BATCH_FOR_ALL_MATCH: 5 // A suspicious batch where every file "matches" is discarded
+  },
+
+  // Text extracted from uploaded documents by documentParser
+  DOCUMENT_DEFAULTS: {
+    MAX_TEXT_LENGTH: 1000000, // Characters kept in extractedText (keeps records well under Mongo's 16MB)
+    MAX_SLIDES: 500,
+    MAX_SHEETS: 20,
+    MAX_SHEET_ROWS: 500, // Non-empty rows read per sheet
+    MAX_ZIP_ENTRY_SIZE: 50 * 1024 * 1024, // Inflated size allowed per OOXML/EPUB part (zip bomb guard)
+    MAX_ZIP_TOTAL_SIZE: 200 * 1024 * 1024, // Inflated size allowed across all parts read from one file
+    MAX_CHAPTERS: 200,
+    CSV_SAMPLE_ROWS: 50,
+    MAX_HEADINGS: 100, // Markdown headings / CSV columns kept in document.info
+    DOWNLOAD_TIMEOUT_MS: 60 * 1000, // Socket idle time allowed while fetching an uploaded file
+    MAX_DOWNLOAD_REDIRECTS: 3
+  },
+
+  // Per-page document index (DocumentPage) used for "page 14 of Contract.pdf" hits
+  PAGE_INDEX_DEFAULTS: {
+    MAX_HITS_PER_RECORD: 3
+  },
+
+  // Summaries: text up to CHUNK_CHARS in one call, longer text chunked and summarised map-reduce style
+  // (SUMMARY_MAX_CHARS / SUMMARY_CHUNK_CHARS override)
+  SUMMARY_DEFAULTS: {
+    CHUNK_CHARS: 8000, // Text sent per call
+    CHUNK_OVERLAP_CHARS: 400, // Repeated from the end of one chunk at the start of the next
+    MAX_CHARS: 96000 // Text summarised per record; the chunk count follows from this
+  },
+
+  // Per-user AI metering (AI_DAILY_TOKEN_QUOTA / AI_MONTHLY_TOKEN_QUOTA override, 0 = unlimited)
+  USAGE_DEFAULTS: {
+    // A full search is up to 5 batches x 30,000 catalog chars (~37,500 tokens, see GEMINI_SEARCH_LIMITS),
+    // so a day allows about 40 of those plus enrichment of new uploads
+    DAILY_TOKEN_QUOTA: 1500000,
+    MONTHLY_TOKEN_QUOTA: 20000000,
+    CHARS_PER_TOKEN: 4, // Estimate when the provider doesn't report token counts
+    IMAGE_TOKENS: 258, // What one image costs as model input
+    RETENTION_DAYS: 400
+  },
+
+  // Keeping findMatchingFiles inside the prompt window
+  GEMINI_SEARCH_LIMITS: {
+    MAX_CANDIDATES: 300, // Records considered per search once an account outgrows one prompt
+    TEXT_MATCH_LIMIT: 200,
+    TAG_MATCH_LIMIT: 100,
+    PROMPT_CHAR_BUDGET: 30000, // Catalog characters per Gemini call
+    MAX_BATCHES: 5,
+    SUMMARY_CHARS: 300
+  },
+
+  // Conversational search sessions
+  SESSION_DEFAULTS: {
+    HISTORY_TURNS: 5, // Earlier turns used to interpret a follow-up
+    MAX_TURNS: 50,
+    RESULT_TITLES: 10, // Titles of the last results shown to Gemini
+    MAX_SHOWN_IDS: 500, // Most recently shown records remembered per session
+    LIST_LIMIT: 20,
+    MAX_LIST_LIMIT: 100
+  },
+
+  // Search-as-you-type suggestions (no Gemini involved)
+  SUGGEST_DEFAULTS: {
+    TIME_BUDGET_MS: 150, // Each source gets this long before it's left out
+    MIN_PREFIX_LENGTH: 1,
+    TITLE_LIMIT: 5,
+    TAG_LIMIT: 5,
+    QUERY_LIMIT: 5
+  },
+
+  // Facet counts returned with advanced search
+  FACET_DEFAULTS: {
+    TAG_LIMIT: 30,
+    MONTH_LIMIT: 24
+  },
+
+  // Search result snippets
+  HIGHLIGHT_DEFAULTS: {
+    SNIPPET_LENGTH: 160,
+    CONTEXT_BEFORE: 40, // Characters shown before the first match
+    MAX_EXPLANATION_LENGTH: 200
+  },
+
+  // Saved searches and smart collections
+  SAVED_SEARCH_DEFAULTS: {
+    MAX_CACHED_IDS: 500, // Result ids remembered per run for "what changed"
+    LIST_LIMIT: 100
+  },
+
+  // Ask-your-records Q&A
+  ASK_DEFAULTS: {
+    CONTEXT_RECORDS: 8, // Records retrieved as evidence for an answer
+    CONTENT_CHARS: 1500, // Characters of each record's content shown to Gemini
+    NO_ANSWER: "I couldn't find anything in your records that answers that."
+  },
+
+  // Semantic (vector) search
+  EMBEDDING_DEFAULTS: {
+    LOCAL_DIMENSIONS: 256,
+    MAX_TEXT_LENGTH: 8000, // Characters of record text sent to the embedder
+    TOP_K: 10,
+    MIN_SIMILARITY: 0.2,
+    MAX_SCAN: 2000, // Most recent vectors compared per query (each is loaded into memory)
+    REQUEST_TIMEOUT_MS: 5000, // Embedding refresh inside a record edit request
+    BACKFILL_BATCH: 25,
+    BACKFILL_MAX_ATTEMPTS: 3 // Failed embeddings after this many tries are marked and left out of backfill
+  },
+
+  // Background jobs (Mongo-backed queue)
+  JOB_DEFAULTS: {
+    CONCURRENCY: 2, // Workers per process
+    POLL_INTERVAL_MS: 2000, // How often an idle worker checks for jobs
+    MAX_ATTEMPTS: 5,
+    BACKOFF_BASE_MS: 5000, // First retry delay, doubled each attempt
+    BACKOFF_MAX_MS: 10 * 60 * 1000,
+    LOCK_TIMEOUT_MS: 5 * 60 * 1000, // A running job not heard from for this long is assumed abandoned
+    HEARTBEAT_INTERVAL_MS: 60 * 1000, // How often a worker refreshes the lock of the job it runs
+    SHUTDOWN_TIMEOUT_MS: 25 * 1000, // How long shutdown waits for running jobs (hosts kill after ~30s)
+    COMPLETED_RETENTION_DAYS: 7
+  },
+
+  // Re-running enrichment on existing records
+  REANALYZE_DEFAULTS: {
+    BULK_LIMIT: 100 // Records queued per bulk request
+  },
+
+  // Enrichment statuses shown on records
+  ENRICHMENT_STATUS: {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+  },
+
+  // Search analytics
+  ANALYTICS_DEFAULTS: {
+    DAYS: 30, // Default reporting window
+    MAX_DAYS: 365,
+    TOP_QUERIES: 20,
+    STORED_RESULT_IDS: 50, // Results remembered per search for open tracking
+    RETENTION_DAYS: 180 // Search events expire after this
+  },
+
+  // "Related records" recommendations
+  RELATED_DEFAULTS: {
+    LIMIT: 5,
+    MAX_LIMIT: 20,
+    CANDIDATE_LIMIT: 100, // Per candidate source (tags, text, time)
+    TIME_WINDOW_DAYS: 30, // Records this close in time are always candidates
+    TIME_SCALE_DAYS: 7, // Time score halves roughly every week apart
+    TEXT_CHARS: 3000,
+    MIN_SCORE: 0.1,
+    WEIGHTS: {
+      TAGS: 0.35,
+      ENTITIES: 0.25,
+      TEXT: 0.3,
+      TIME: 0.1
+    }
+  },
+
+  // Typo-tolerant matching (trigram candidates, edit-distance scoring)
+  FUZZY_DEFAULTS: {
+    GRAM_SIZE: 3,
+    MAX_TEXT_LENGTH: 5000, // Characters of content turned into grams
+    CANDIDATE_LIMIT: 300, // Records scored per fuzzy search
+    MIN_SCORE: 0.3, // Share of the query that must match (0-1)
+    PREFIX_SIMILARITY: 0.9 // "rec" typed for "receipt"
   },
 
   // Response messages
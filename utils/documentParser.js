@@ -5,6 +5,297 @@ const fs = require('fs').promises;
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const { isZip, readZip, readText } = require('./zipReader');
+const { DOCUMENT_DEFAULTS } = require('./constants');
+
+// === OOXML helpers (PPTX / XLSX parts are plain XML inside a zip) ===
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text, entities = XML_ENTITIES) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return entities[entity.toLowerCase()] ?? match;
+});
+
+const xmlAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Text of every <tag>…</tag> run inside xml, concatenated
+const xmlRuns = (xml, tag) => {
+  const runs = [];
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  let match;
+  while ((match = pattern.exec(xml))) runs.push(decodeXml(match[1]));
+  return runs.join('');
+};
+
+// DrawingML paragraphs (<a:p>) as lines, skipping empty ones
+const drawingParagraphs = (xml) => {
+  return (xml.match(/<a:p[\s>][\s\S]*?<\/a:p>/g) || [])
+    .map(paragraph => xmlRuns(paragraph, 'a:t').trim())
+    .filter(Boolean);
+};
+
+// Relationship id -> zip path, resolved against the folder of the part that owns the .rels file
+const readRelationships = (entries, partName) => {
+  const folder = path.posix.dirname(partName);
+  const relsXml = readText(entries, `${folder}/_rels/${path.posix.basename(partName)}.rels`) || '';
+  const relationships = {};
+
+  (relsXml.match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+    const id = xmlAttribute(tag, 'Id');
+    const target = xmlAttribute(tag, 'Target');
+    if (!id || !target || xmlAttribute(tag, 'TargetMode') === 'External') return;
+    relationships[id] = {
+      type: xmlAttribute(tag, 'Type') || '',
+      path: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(folder, target))
+    };
+  });
+
+  return relationships;
+};
+
+// Fallback when presentation.xml / workbook.xml can't be used: part names in numeric order
+const numberedParts = (entries, pattern) => {
+  return [...entries.keys()]
+    .filter(name => pattern.test(name))
+    .sort((a, b) => parseInt(a.match(pattern)[1]) - parseInt(b.match(pattern)[1]));
+};
+
+const TITLE_PLACEHOLDER = /<p:ph\b[^>]*\stype="(title|ctrTitle)"/;
+const BODY_PLACEHOLDER = /<p:ph\b[^>]*\stype="body"/;
+const SHAPE_PATTERN = /<p:sp[\s>][\s\S]*?<\/p:sp>/g;
+
+// === Text format helpers (Markdown, HTML/EPUB, CSV, RTF) ===
+const decodeUtf8 = (buffer) => buffer.toString('utf-8').replace(/^\uFEFF/, '');
+
+const HTML_ENTITIES = {
+  ...XML_ENTITIES,
+  nbsp: ' ', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·'
+};
+
+const BLOCK_TAGS = /<\/?(p|div|br|hr|h[1-6]|li|ul|ol|dl|dt|dd|tr|table|section|article|aside|header|footer|nav|main|blockquote|pre|figure|figcaption)\b[^>]*>/gi;
+
+const collapseLines = (text) => {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+};
+
+// Visible text of an HTML/XHTML document, one block per line, plus its <title>
+const htmlToText = (html) => {
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|head|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<(td|th)\b[^>]*>/gi, ' ')
+    .replace(BLOCK_TAGS, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return {
+    title: titleMatch ? collapseLines(decodeXml(titleMatch[1], HTML_ENTITIES).replace(/\s+/g, ' ')) : '',
+    text: collapseLines(decodeXml(body, HTML_ENTITIES))
+  };
+};
+
+// Markdown inline syntax -> plain words
+const stripMarkdownInline = (line) => {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\](\([^)]*\)|\[[^\]]*\])/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__|~~)(?=\S)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?=\S)(.+?)\*(?!\w)/g, '$1$2')
+    .replace(/(^|[^\w_])_(?=\S)(.+?)_(?!\w)/g, '$1$2')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, entity => decodeXml(entity, HTML_ENTITIES))
+    .trim();
+};
+
+// Markdown as plain text that keeps "#"-style headings, so the outline survives
+const markdownToText = (markdown) => {
+  const headings = [];
+  const output = [];
+  let inFence = false;
+  let inParagraph = false; // Only a paragraph line can be underlined into a heading
+
+  // YAML front matter isn't content
+  const lines = markdown.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '').split(/\r?\n/);
+
+  lines.forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      inParagraph = false;
+      return;
+    }
+    if (inFence) {
+      output.push(line);
+      return;
+    }
+
+    const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+    const setext = line.match(/^\s{0,3}(=+|-+)\s*$/);
+    const previous = output[output.length - 1];
+    const wasParagraph = inParagraph;
+    inParagraph = false;
+
+    if (atx) {
+      const text = stripMarkdownInline(atx[2]);
+      headings.push({ level: atx[1].length, text });
+      output.push(`${atx[1]} ${text}`);
+    } else if (setext && wasParagraph && previous) {
+      // "Title\n=====" style headings
+      const level = setext[1][0] === '=' ? 1 : 2;
+      headings.push({ level, text: previous });
+      output[output.length - 1] = `${'#'.repeat(level)} ${previous}`;
+    } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s{0,3}\[[^\]]+\]:\s/.test(line)) {
+      // Horizontal rules and link reference definitions
+      output.push('');
+    } else {
+      const text = stripMarkdownInline(line
+        .replace(/^\s{0,3}>\s?/, '')
+        .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ x]\]\s+)?/i, '- '));
+      inParagraph = Boolean(text) && !text.startsWith('- ');
+      output.push(text);
+    }
+  });
+
+  return {
+    text: output.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    headings
+  };
+};
+
+// RFC 4180 CSV: quoted fields may contain delimiters, quotes ("") and newlines.
+// Keeps the first `keep` rows but counts them all.
+const parseCsv = (text, delimiter, keep) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let total = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim())) {
+      if (rows.length < keep) rows.push(row.map(value => value.replace(/\s+/g, ' ').trim()));
+      total++;
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) endRow();
+
+  return { rows, total };
+};
+
+// Whichever of , ; tab | appears most in the first line
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t', '|'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+  const best = counts.sort((a, b) => b.count - a.count)[0];
+  return best.count ? best.delimiter : ',';
+};
+
+// RTF groups that hold formatting tables or embedded data rather than text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl',
+  'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl',
+  'footerr', 'footerf', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'generator', 'xmlnstbl', 'mmathPr', 'fldinst'
+]);
+
+const RTF_SPECIAL_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: ' | ', tab: '\t',
+  emdash: '—', endash: '–', emspace: ' ', enspace: ' ', bullet: '•',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+// Control words, hex escapes (\'hh, read as Latin-1), escaped symbols, braces, or plain text
+const RTF_TOKEN = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|(.)/gi;
+
+const rtfToText = (rtf) => {
+  const output = [];
+  const stack = [];
+  let ignorable = false;
+  let unicodeSkip = 1; // \ucN: fallback characters that follow each \uN
+  let pendingSkip = 0;
+  let match;
+
+  RTF_TOKEN.lastIndex = 0;
+  while ((match = RTF_TOKEN.exec(rtf))) {
+    const [, word, arg, hex, symbol, brace, char] = match;
+
+    if (brace) {
+      pendingSkip = 0;
+      if (brace === '{') {
+        stack.push({ ignorable, unicodeSkip });
+      } else if (stack.length) {
+        ({ ignorable, unicodeSkip } = stack.pop());
+      }
+    } else if (symbol) {
+      pendingSkip = 0;
+      if (symbol === '*') ignorable = true;
+      else if (!ignorable && symbol === '~') output.push(' ');
+      else if (!ignorable && '{}\\'.includes(symbol)) output.push(symbol);
+    } else if (word) {
+      pendingSkip = 0;
+      if (RTF_SKIP_DESTINATIONS.has(word)) {
+        ignorable = true;
+      } else if (ignorable) {
+        continue;
+      } else if (RTF_SPECIAL_CHARACTERS[word]) {
+        output.push(RTF_SPECIAL_CHARACTERS[word]);
+      } else if (word === 'uc') {
+        unicodeSkip = parseInt(arg) || 0;
+      } else if (word === 'u') {
+        let code = parseInt(arg);
+        if (code < 0) code += 0x10000;
+        output.push(String.fromCharCode(code));
+        pendingSkip = unicodeSkip;
+      }
+    } else if (hex || char) {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!ignorable) {
+        output.push(hex ? String.fromCharCode(parseInt(hex, 16)) : char);
+      }
+    }
+  }
+
+  return output.join('').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+};
 
 class DocumentParser {
   constructor() {
@@ -24,6 +315,18 @@ class DocumentParser {
         return await this.extractFromDocx(fileBuffer);
       } else if (mimeType.includes('pdf') || extension === '.pdf') {
         return await this.extractFromPdf(fileBuffer);
+      } else if (mimeType.includes('markdown') || extension === '.md' || extension === '.markdown') {
+        return await this.extractFromMarkdown(fileBuffer);
+      } else if (mimeType.includes('html') || extension === '.html' || extension === '.htm') {
+        return await this.extractFromHtml(fileBuffer);
+      } else if (mimeType.includes('csv') || extension === '.csv') {
+        return await this.extractFromCsv(fileBuffer);
+      } else if (mimeType.includes('rtf') || extension === '.rtf') {
+        return await this.extractFromRtf(fileBuffer);
+      } else if (mimeType.includes('epub') || extension === '.epub') {
+        return await this.extractFromEpub(fileBuffer);
+      } else if (mimeType.includes('json') || extension === '.json') {
+        return await this.extractFromJson(fileBuffer);
       } else if (mimeType.includes('msword') || extension === '.doc') {
         return await this.extractFromDoc(fileBuffer);
       } else if (mimeType.includes('plain') || extension === '.txt') {
@@ -67,16 +370,29 @@ class DocumentParser {
     }
   }
 
-  // Extract from .pdf files
+  // Extract from .pdf files, keeping each page's text as well as the whole
   async extractFromPdf(buffer) {
     try {
-      const data = await pdf(buffer);
-      console.log(`[extractFromPdf] Extracted ${data.text.length} characters`);
+      const pageTexts = [];
+      const data = await pdf(buffer, {
+        pagerender: (pageData) => this.renderPdfPage(pageData).then(text => {
+          pageTexts[pageData.pageNumber] = text;
+          return text;
+        })
+      });
+      // Pages pdf-parse couldn't render come back empty
+      const pages = Array.from({ length: data.numrender }, (_, index) => ({
+        number: index + 1,
+        text: (pageTexts[index + 1] || '').trim()
+      }));
+
+      console.log(`[extractFromPdf] Extracted ${data.text.length} characters from ${pages.length} pages`);
       return {
         success: true,
         text: data.text.trim(),
         type: 'pdf',
         extracted: true,
+        pages,
         metadata: {
           numpages: data.numpages,
           info: data.info
@@ -94,6 +410,22 @@ class DocumentParser {
     }
   }
 
+  // pdf-parse's default page renderer: text items joined, new line when the baseline moves
+  async renderPdfPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    return text;
+  }
+
   // Handle old .doc files (basic fallback)
   async extractFromDoc(buffer) {
     console.log('[extractFromDoc] .doc files require additional libraries. Using fallback.');
@@ -129,26 +461,430 @@ class DocumentParser {
     }
   }
 
-  // Extract from presentations (basic)
+  // Extract from Markdown, keeping "#" headings so the document outline survives
+  async extractFromMarkdown(buffer) {
+    try {
+      const { text, headings } = markdownToText(decodeUtf8(buffer));
+      console.log(`[extractFromMarkdown] Extracted ${text.length} characters, ${headings.length} headings`);
+      return {
+        success: true,
+        text,
+        type: 'markdown',
+        extracted: true,
+        metadata: {
+          info: { headings: headings.slice(0, DOCUMENT_DEFAULTS.MAX_HEADINGS) }
+        }
+      };
+    } catch (error) {
+      console.error('[extractFromMarkdown] Error:', error.message);
+      return {
+        success: false,
+        text: '',
+        type: 'markdown',
+        extracted: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Extract visible text and the <title> from HTML pages
+  async extractFromHtml(buffer) {
+    try {
+      const { title, text } = htmlToText(decodeUtf8(buffer));
+      const fullText = title && !text.startsWith(title) ? `${title}\n\n${text}` : text;
+      console.log(`[extractFromHtml] Extracted ${fullText.length} characters`);
+      return {
+        success: true,
+        text: fullText,
+        type: 'html',
+        extracted: true,
+        metadata: {
+          info: { title: title || undefined }
+        }
+      };
+    } catch (error) {
+      console.error('[extractFromHtml] Error:', error.message);
+      return {
+        success: false,
+        text: '',
+        type: 'html',
+        extracted: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Extract the header row plus the first CSV_SAMPLE_ROWS rows
+  async extractFromCsv(buffer) {
+    try {
+      const content = decodeUtf8(buffer);
+      const delimiter = detectDelimiter(content);
+      const { rows, total } = parseCsv(content, delimiter, DOCUMENT_DEFAULTS.CSV_SAMPLE_ROWS + 1);
+      const [header = [], ...sample] = rows;
+      const dataRows = Math.max(total - 1, 0);
+
+      const text = [
+        `Columns (${header.length}): ${header.join(' | ')}`,
+        `Rows: ${dataRows}${dataRows > sample.length ? ` (showing first ${sample.length})` : ''}`,
+        ...sample.map(row => row.join(' | '))
+      ].join('\n');
+
+      console.log(`[extractFromCsv] Extracted ${header.length} columns, ${dataRows} rows`);
+      return {
+        success: true,
+        text,
+        type: 'csv',
+        extracted: header.length > 0,
+        metadata: {
+          info: {
+            columns: header.slice(0, DOCUMENT_DEFAULTS.MAX_HEADINGS),
+            rows: dataRows,
+            sampleRows: sample.length,
+            delimiter
+          }
+        }
+      };
+    } catch (error) {
+      console.error('[extractFromCsv] Error:', error.message);
+      return {
+        success: false,
+        text: '',
+        type: 'csv',
+        extracted: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Extract text from RTF, dropping control words and font/colour/picture groups
+  async extractFromRtf(buffer) {
+    // RTF is 7-bit ASCII; anything beyond is escaped
+    const content = buffer.toString('latin1');
+    if (!content.startsWith('{\\rtf')) {
+      return {
+        success: false,
+        text: '',
+        type: 'rtf',
+        extracted: false,
+        error: 'Not an RTF document'
+      };
+    }
+
+    try {
+      const text = rtfToText(content);
+      console.log(`[extractFromRtf] Extracted ${text.length} characters`);
+      return {
+        success: true,
+        text,
+        type: 'rtf',
+        extracted: true
+      };
+    } catch (error) {
+      console.error('[extractFromRtf] Error:', error.message);
+      return {
+        success: false,
+        text: '',
+        type: 'rtf',
+        extracted: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Extract EPUB chapters in reading order (the OPF spine)
+  async extractFromEpub(buffer) {
+    try {
+      const entries = readZip(buffer, {
+        maxEntrySize: DOCUMENT_DEFAULTS.MAX_ZIP_ENTRY_SIZE,
+        maxTotalSize: DOCUMENT_DEFAULTS.MAX_ZIP_TOTAL_SIZE
+      });
+      const containerXml = readText(entries, 'META-INF/container.xml') || '';
+      const rootfile = (containerXml.match(/<rootfile\b[^>]*>/) || [])[0];
+      const opfPath = rootfile && xmlAttribute(rootfile, 'full-path');
+      const opf = opfPath && readText(entries, opfPath);
+      if (!opf) throw new Error('EPUB package document (OPF) not found');
+
+      const folder = path.posix.dirname(opfPath);
+      const manifest = {};
+      (opf.match(/<(?:\w+:)?item\b[^>]*>/g) || []).forEach(tag => {
+        const href = xmlAttribute(tag, 'href');
+        if (href) manifest[xmlAttribute(tag, 'id')] = path.posix.normalize(path.posix.join(folder, decodeURIComponent(href)));
+      });
+
+      const spine = (opf.match(/<(?:\w+:)?itemref\b[^>]*>/g) || [])
+        .map(tag => manifest[xmlAttribute(tag, 'idref')])
+        .filter(part => part && entries.has(part));
+
+      const chapters = [];
+      for (const part of spine) {
+        if (chapters.length >= DOCUMENT_DEFAULTS.MAX_CHAPTERS) break;
+        const xhtml = readText(entries, part);
+        const { title, text } = htmlToText(xhtml);
+        // Cover and blank pages
+        if (!text) continue;
+        const heading = xhtml.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i);
+        const chapterTitle = heading ? htmlToText(heading[1]).text.replace(/\n/g, ' ') : title;
+        // The heading is already in the "Chapter N: …" line
+        const body = chapterTitle && text.startsWith(`${chapterTitle}\n`) ? text.slice(chapterTitle.length + 1) : text;
+        chapters.push({ title: chapterTitle, text: body });
+      }
+
+      const bookTitle = (opf.match(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/) || [])[1];
+      const author = (opf.match(/<dc:creator\b[^>]*>([\s\S]*?)<\/dc:creator>/) || [])[1];
+
+      const text = chapters
+        .map((chapter, index) => `Chapter ${index + 1}${chapter.title ? `: ${chapter.title}` : ''}\n${chapter.text}`)
+        .join('\n\n');
+
+      console.log(`[extractFromEpub] Extracted ${text.length} characters from ${chapters.length} chapters`);
+      return {
+        success: true,
+        text,
+        type: 'epub',
+        extracted: chapters.length > 0,
+        metadata: {
+          numpages: chapters.length,
+          info: {
+            title: bookTitle ? decodeXml(bookTitle).trim() : undefined,
+            author: author ? decodeXml(author).trim() : undefined,
+            chapters: chapters.length,
+            truncated: spine.length > chapters.length && chapters.length >= DOCUMENT_DEFAULTS.MAX_CHAPTERS
+          }
+        }
+      };
+    } catch (error) {
+      console.error('[extractFromEpub] Error:', error.message);
+      return {
+        success: false,
+        text: '',
+        type: 'epub',
+        extracted: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Pretty-print JSON so keys and values read as separate lines
+  async extractFromJson(buffer) {
+    try {
+      const data = JSON.parse(decodeUtf8(buffer));
+      const text = JSON.stringify(data, null, 2);
+      console.log(`[extractFromJson] Extracted ${text.length} characters`);
+      return {
+        success: true,
+        text,
+        type: 'json',
+        extracted: true,
+        metadata: {
+          info: {
+            rootType: Array.isArray(data) ? 'array' : data === null ? 'null' : typeof data,
+            entries: Array.isArray(data) ? data.length : (data && typeof data === 'object' ? Object.keys(data).length : undefined)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('[extractFromJson] Error:', error.message);
+      return {
+        success: false,
+        text: '',
+        type: 'json',
+        extracted: false,
+        error: `Invalid JSON: ${error.message}`
+      };
+    }
+  }
+
+  // Extract slide titles, body text and speaker notes from .pptx files
   async extractFromPresentation(buffer, extension) {
-    console.log(`[extractFromPresentation] ${extension} files require specialized parsing. Using fallback.`);
-    return {
-      success: false,
-      text: `Presentation file (${extension}) - slide content extraction not supported`,
-      type: 'presentation',
-      extracted: false
-    };
+    if (!isZip(buffer)) {
+      console.log(`[extractFromPresentation] ${extension || 'Legacy'} presentation is not OOXML. Using fallback.`);
+      return {
+        success: false,
+        text: `Presentation file (${extension}) - slide content extraction not supported`,
+        type: 'presentation',
+        extracted: false,
+        note: 'Consider converting to .pptx for full text extraction'
+      };
+    }
+
+    try {
+      const entries = readZip(buffer, {
+        maxEntrySize: DOCUMENT_DEFAULTS.MAX_ZIP_ENTRY_SIZE,
+        maxTotalSize: DOCUMENT_DEFAULTS.MAX_ZIP_TOTAL_SIZE
+      });
+      const allSlides = this.getSlideParts(entries);
+      const slideParts = allSlides.slice(0, DOCUMENT_DEFAULTS.MAX_SLIDES);
+
+      const slides = slideParts.map((slidePart, index) => {
+        const xml = readText(entries, slidePart) || '';
+        const shapes = xml.match(SHAPE_PATTERN) || [];
+        const titleShapes = shapes.filter(shape => TITLE_PLACEHOLDER.test(shape));
+        const title = titleShapes.flatMap(drawingParagraphs).join(' ');
+
+        // Everything that isn't the title, including tables and grouped shapes
+        const bodyXml = titleShapes.reduce((rest, shape) => rest.replace(shape, ''), xml);
+        const body = drawingParagraphs(bodyXml);
+
+        const notesRel = Object.values(readRelationships(entries, slidePart))
+          .find(rel => rel.type.endsWith('/notesSlide'));
+        const notesXml = notesRel ? readText(entries, notesRel.path) || '' : '';
+        const notes = (notesXml.match(SHAPE_PATTERN) || [])
+          .filter(shape => BODY_PLACEHOLDER.test(shape))
+          .flatMap(drawingParagraphs);
+
+        return { number: index + 1, title, body, notes };
+      });
+
+      const text = slides.map(slide => [
+        slide.title ? `Slide ${slide.number}: ${slide.title}` : `Slide ${slide.number}`,
+        ...slide.body,
+        ...(slide.notes.length ? [`Notes: ${slide.notes.join(' ')}`] : [])
+      ].join('\n')).join('\n\n');
+
+      console.log(`[extractFromPresentation] Extracted ${text.length} characters from ${slides.length} slides`);
+      return {
+        success: true,
+        text: text.trim(),
+        type: 'pptx',
+        extracted: slides.some(slide => slide.title || slide.body.length || slide.notes.length),
+        metadata: {
+          numpages: slides.length,
+          info: {
+            slides: slides.length,
+            slidesWithNotes: slides.filter(slide => slide.notes.length).length,
+            truncated: allSlides.length > slideParts.length
+          }
+        }
+      };
+    } catch (error) {
+      console.error('[extractFromPresentation] Error:', error.message);
+      return {
+        success: false,
+        text: '',
+        type: 'pptx',
+        extracted: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Slide parts in presentation order (presentation.xml's slide list), not file-name order
+  getSlideParts(entries) {
+    const presentationXml = readText(entries, 'ppt/presentation.xml') || '';
+    const relationships = readRelationships(entries, 'ppt/presentation.xml');
+    const ordered = (presentationXml.match(/<p:sldId\b[^>]*>/g) || [])
+      .map(tag => relationships[xmlAttribute(tag, 'r:id')])
+      .filter(rel => rel && entries.has(rel.path))
+      .map(rel => rel.path);
+
+    return ordered.length ? ordered : numberedParts(entries, /^ppt\/slides\/slide(\d+)\.xml$/);
   }
 
-  // Extract from spreadsheets (basic)
+  // Extract sheet names and cell text from .xlsx files
   async extractFromSpreadsheet(buffer, extension) {
-    console.log(`[extractFromSpreadsheet] ${extension} files require specialized parsing. Using fallback.`);
-    return {
-      success: false,
-      text: `Spreadsheet file (${extension}) - cell data extraction not supported`,
-      type: 'spreadsheet',
-      extracted: false
-    };
+    if (!isZip(buffer)) {
+      console.log(`[extractFromSpreadsheet] ${extension || 'Legacy'} spreadsheet is not OOXML. Using fallback.`);
+      return {
+        success: false,
+        text: `Spreadsheet file (${extension}) - cell data extraction not supported`,
+        type: 'spreadsheet',
+        extracted: false,
+        note: 'Consider converting to .xlsx for full text extraction'
+      };
+    }
+
+    try {
+      const entries = readZip(buffer, {
+        maxEntrySize: DOCUMENT_DEFAULTS.MAX_ZIP_ENTRY_SIZE,
+        maxTotalSize: DOCUMENT_DEFAULTS.MAX_ZIP_TOTAL_SIZE
+      });
+      const sharedStrings = (readText(entries, 'xl/sharedStrings.xml') || '')
+        .match(/<si>[\s\S]*?<\/si>/g) || [];
+      const sharedText = sharedStrings.map(item => xmlRuns(item, 't'));
+      const allSheets = this.getSheetParts(entries);
+
+      const sheets = allSheets.slice(0, DOCUMENT_DEFAULTS.MAX_SHEETS).map(({ name, part }) => {
+        const { rows, truncated } = this.readSheetRows(readText(entries, part) || '', sharedText);
+        return { name, rows, truncated };
+      });
+
+      const text = sheets
+        .filter(sheet => sheet.rows.length)
+        .map(sheet => [`Sheet: ${sheet.name}`, ...sheet.rows].join('\n'))
+        .join('\n\n');
+
+      console.log(`[extractFromSpreadsheet] Extracted ${text.length} characters from ${sheets.length} sheets`);
+      return {
+        success: true,
+        text: text.trim(),
+        type: 'xlsx',
+        extracted: sheets.some(sheet => sheet.rows.length),
+        metadata: {
+          numpages: sheets.length,
+          info: {
+            sheets: sheets.map(sheet => ({ name: sheet.name, rows: sheet.rows.length, truncated: sheet.truncated })),
+            truncated: allSheets.length > sheets.length || sheets.some(sheet => sheet.truncated)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('[extractFromSpreadsheet] Error:', error.message);
+      return {
+        success: false,
+        text: '',
+        type: 'xlsx',
+        extracted: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Sheet names and parts in workbook order
+  getSheetParts(entries) {
+    const workbookXml = readText(entries, 'xl/workbook.xml') || '';
+    const relationships = readRelationships(entries, 'xl/workbook.xml');
+    const sheets = (workbookXml.match(/<sheet\b[^>]*>/g) || [])
+      .map(tag => ({ name: xmlAttribute(tag, 'name'), rel: relationships[xmlAttribute(tag, 'r:id')] }))
+      .filter(sheet => sheet.rel && entries.has(sheet.rel.path))
+      .map(sheet => ({ name: sheet.name || path.posix.basename(sheet.rel.path, '.xml'), part: sheet.rel.path }));
+
+    if (sheets.length) return sheets;
+    return numberedParts(entries, /^xl\/worksheets\/sheet(\d+)\.xml$/)
+      .map(part => ({ name: path.posix.basename(part, '.xml'), part }));
+  }
+
+  // Non-empty rows as "cell | cell | …", stopping at MAX_SHEET_ROWS
+  readSheetRows(sheetXml, sharedText) {
+    const rows = [];
+    const rowPattern = /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(sheetXml))) {
+      const cells = [];
+      const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+      let cellMatch;
+
+      while ((cellMatch = cellPattern.exec(rowMatch[1] || ''))) {
+        const cellType = xmlAttribute(cellMatch[1], 't');
+        const inner = cellMatch[2] || '';
+        const value = xmlRuns(inner, 'v');
+        let cellText;
+
+        if (cellType === 's') cellText = sharedText[parseInt(value)];
+        else if (cellType === 'inlineStr') cellText = xmlRuns(inner, 't');
+        else if (cellType === 'b') cellText = value === '1' ? 'TRUE' : 'FALSE';
+        else if (cellType === 'e') cellText = '';
+        else cellText = value;
+
+        if (cellText && cellText.trim()) cells.push(cellText.trim());
+      }
+
+      if (!cells.length) continue;
+      if (rows.length >= DOCUMENT_DEFAULTS.MAX_SHEET_ROWS) return { rows, truncated: true };
+      rows.push(cells.join(' | '));
+    }
+
+    return { rows, truncated: false };
   }
 
   // Extract text from URL (for Cloudinary files)
@@ -207,6 +943,14 @@ class DocumentParser {
       '.pdf': 'application/pdf',
       '.doc': 'application/msword',
       '.txt': 'text/plain',
+      '.md': 'text/markdown',
+      '.markdown': 'text/markdown',
+      '.html': 'text/html',
+      '.htm': 'text/html',
+      '.csv': 'text/csv',
+      '.rtf': 'application/rtf',
+      '.epub': 'application/epub+zip',
+      '.json': 'application/json',
       '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
       '.ppt': 'application/vnd.ms-powerpoint',
       '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
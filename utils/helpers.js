@@ -66,6 +66,62 @@ const isValidUrl = (string) => {
   }
 };
 
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Escape text for safe inclusion in HTML
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Lowercase alphanumeric words of a text
+const tokenize = (text) => {
+  return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+};
+
+// Character n-grams of a word, padded so short words and word edges still produce grams
+const ngrams = (word, size = 3) => {
+  const padded = ` ${word} `;
+  if (padded.length <= size) return [padded];
+  const grams = [];
+  for (let i = 0; i <= padded.length - size; i++) {
+    grams.push(padded.substring(i, i + size));
+  }
+  return grams;
+};
+
+// Edit distance counting an adjacent swap as one edit ("reciept" -> "receipt" is 1)
+const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
 // Deep clone object
 const deepClone = (obj) => {
   return JSON.parse(JSON.stringify(obj));
@@ -76,6 +132,19 @@ const sleep = (ms) => {
   return new Promise(resolve => setTimeout(resolve, ms));
 };
 
+// Reject if a promise doesn't settle within the given time
+const withTimeout = (promise, ms, label = 'Operation') => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
 // Pagination helper
 const paginate = (array, page = 1, limit = 10) => {
   const startIndex = (page - 1) * limit;
@@ -96,6 +165,37 @@ const paginate = (array, page = 1, limit = 10) => {
   };
 };
 
+// Preferred places to end a chunk, best first
+const CHUNK_BREAKS = ['\n\n', '\n', '. ', ' '];
+
+// Overlapping { start, end, text } windows of at most `size` characters.
+// Each chunk ends at a paragraph, line, sentence or word break in its second half when there is one.
+const chunkText = (text, size, overlap = 0) => {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) {
+      const half = start + Math.floor(size / 2);
+      const window = text.substring(half, end);
+      for (const separator of CHUNK_BREAKS) {
+        const at = window.lastIndexOf(separator);
+        if (at !== -1) {
+          end = half + at + separator.length;
+          break;
+        }
+      }
+    }
+
+    chunks.push({ start, end, text: text.substring(start, end) });
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+};
+
 module.exports = {
   formatDate,
   generateId,
@@ -105,7 +205,14 @@ module.exports = {
   sanitizeFilename,
   generateUniqueFilename,
   isValidUrl,
+  escapeRegex,
+  escapeHtml,
+  tokenize,
+  ngrams,
+  chunkText,
+  editDistance,
   deepClone,
   sleep,
+  withTimeout,
   paginate
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const User = require('../models/User');
+const { ANALYTICS_DEFAULTS, RELATED_DEFAULTS, REANALYZE_DEFAULTS, SESSION_DEFAULTS } = require('./constants');
 
 // Auth validators
 const authValidators = {
@@ -96,6 +97,70 @@ const recordValidators = {
     body('tags')
       .optional()
       .isArray().withMessage('Tags must be an array')
+  ],
+
+  enrichment: [
+    param('id')
+      .isMongoId().withMessage('Invalid record id')
+  ],
+
+  enrichmentList: [
+    query('ids')
+      .optional()
+      .custom(value => value.split(',').every(id => /^[a-f\d]{24}$/i.test(id.trim())))
+      .withMessage('ids must be a comma-separated list of record ids')
+  ],
+
+  reanalyze: [
+    param('id')
+      .isMongoId().withMessage('Invalid record id'),
+
+    body('retitle')
+      .optional()
+      .isBoolean().withMessage('retitle must be true or false')
+      .toBoolean()
+  ],
+
+  reanalyzeBulk: [
+    body('ids')
+      .optional()
+      .isArray({ max: REANALYZE_DEFAULTS.BULK_LIMIT }).withMessage(`ids must be an array of at most ${REANALYZE_DEFAULTS.BULK_LIMIT} record ids`),
+
+    body('ids.*')
+      .isMongoId().withMessage('Invalid record id'),
+
+    body('retitle')
+      .optional()
+      .isBoolean().withMessage('retitle must be true or false')
+      .toBoolean(),
+
+    body('dryRun')
+      .optional()
+      .isBoolean().withMessage('dryRun must be true or false')
+      .toBoolean(),
+
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: REANALYZE_DEFAULTS.BULK_LIMIT }).withMessage(`Limit must be between 1 and ${REANALYZE_DEFAULTS.BULK_LIMIT}`)
+  ],
+
+  related: [
+    param('id')
+      .isMongoId().withMessage('Invalid record id'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: RELATED_DEFAULTS.MAX_LIMIT }).withMessage(`Limit must be between 1 and ${RELATED_DEFAULTS.MAX_LIMIT}`)
+  ],
+
+  download: [
+    param('id')
+      .isMongoId().withMessage('Invalid record id'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive number')
+      .toInt()
   ]
 };
 
@@ -104,7 +169,15 @@ const searchValidators = {
   basic: [
     body('query')
       .trim()
-      .isLength({ min: 1, max: 500 }).withMessage('Search query must be between 1 and 500 characters')
+      .isLength({ min: 1, max: 500 }).withMessage('Search query must be between 1 and 500 characters'),
+    
+    body('sessionId')
+      .optional()
+      .isMongoId().withMessage('Invalid session id'),
+    
+    body('removedFilters')
+      .optional()
+      .isArray().withMessage('removedFilters must be an array of filter ids')
   ],
 
   advanced: [
@@ -130,13 +203,156 @@ const searchValidators = {
     
     body('page')
       .optional()
-      .isInt({ min: 1 }).withMessage('Page must be at least 1')
+      .isInt({ min: 1 }).withMessage('Page must be at least 1'),
+    
+    body('includeFacets')
+      .optional()
+      .isBoolean().withMessage('includeFacets must be true or false')
+  ],
+
+  semantic: [
+    body('query')
+      .trim()
+      .isLength({ min: 1, max: 500 }).withMessage('Search query must be between 1 and 500 characters'),
+    
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ],
+
+  ask: [
+    body('question')
+      .trim()
+      .isLength({ min: 1, max: 500 }).withMessage('Question must be between 1 and 500 characters')
+  ],
+
+  session: [
+    param('id')
+      .isMongoId().withMessage('Invalid session id')
+  ],
+
+  listSessions: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive number')
+      .toInt(),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: SESSION_DEFAULTS.MAX_LIST_LIMIT }).withMessage(`Limit must be between 1 and ${SESSION_DEFAULTS.MAX_LIST_LIMIT}`)
+      .toInt()
+  ],
+
+  suggest: [
+    query('q')
+      .optional()
+      .isString()
+      .isLength({ max: 100 }).withMessage('Suggestion prefix cannot exceed 100 characters')
+  ]
+};
+
+// Saved search filters mirror the advanced search body
+const savedSearchFilterRules = [
+  body('query')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 }).withMessage('Search query must be between 1 and 500 characters'),
+  
+  body('filters')
+    .optional()
+    .isObject().withMessage('Filters must be an object'),
+  
+  body('filters.keywords')
+    .optional()
+    .isArray().withMessage('Keywords must be an array'),
+  
+  body('filters.types')
+    .optional()
+    .isArray().withMessage('Types must be an array'),
+  
+  body('filters.tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array'),
+  
+  body('filters.dateFrom')
+    .optional()
+    .isISO8601().withMessage('Invalid date format'),
+  
+  body('filters.dateTo')
+    .optional()
+    .isISO8601().withMessage('Invalid date format'),
+  
+  body('isCollection')
+    .optional()
+    .isBoolean().withMessage('isCollection must be true or false'),
+  
+  body('cacheResults')
+    .optional()
+    .isBoolean().withMessage('cacheResults must be true or false')
+];
+
+// Saved search validators
+const savedSearchValidators = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    
+    ...savedSearchFilterRules,
+    
+    body()
+      .custom(value => !!value.query !== !!value.filters)
+      .withMessage('Provide either a query or filters, not both')
+  ],
+
+  update: [
+    param('id')
+      .isMongoId().withMessage('Invalid saved search id'),
+    
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    
+    ...savedSearchFilterRules,
+    
+    body()
+      .custom(value => !(value.query && value.filters))
+      .withMessage('Provide either a query or filters, not both')
+  ],
+
+  id: [
+    param('id')
+      .isMongoId().withMessage('Invalid saved search id')
+  ]
+};
+
+const searchAnalyticsValidators = {
+  open: [
+    param('id')
+      .isMongoId().withMessage('Invalid search id'),
+
+    body('recordId')
+      .isMongoId().withMessage('Invalid record id')
+  ],
+
+  summary: [
+    query('scope')
+      .optional()
+      .isIn(['me', 'all']).withMessage('Scope must be me or all'),
+
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: ANALYTICS_DEFAULTS.MAX_DAYS }).withMessage(`Days must be between 1 and ${ANALYTICS_DEFAULTS.MAX_DAYS}`)
   ]
 };
 
 module.exports = {
   authValidators,
   recordValidators,
-  searchValidators
+  searchValidators,
+  savedSearchValidators,
+  searchAnalyticsValidators
 };
 
@@ -0,0 +1,97 @@
+const zlib = require('zlib');
+
+// Minimal reader for the zip container used by OOXML files (.docx, .pptx, .xlsx).
+// Only what those files use: stored or deflated entries, no encryption, no zip64.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const isZip = (buffer) => Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+
+// The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+const findEndOfCentralDirectory = (buffer) => {
+  const stop = Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+  for (let offset = buffer.length - EOCD_MIN_SIZE; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new Error('Not a zip file (no end of central directory)');
+};
+
+// === List entries; each has read() which inflates it on demand ===
+// Zip bomb guards: an entry that inflates past maxEntrySize throws, and so does any read
+// once the entries read so far add up to maxTotalSize
+const readZip = (buffer, { maxEntrySize = 50 * 1024 * 1024, maxTotalSize = 200 * 1024 * 1024, maxEntries = 10000 } = {}) => {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if (entryCount > maxEntries) {
+    throw new Error(`Zip has too many entries (${entryCount})`);
+  }
+
+  const entries = new Map();
+  let inflatedTotal = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      name,
+      size,
+      read: () => {
+        if (flags & 0x1) throw new Error(`Encrypted zip entry: ${name}`);
+        if (size > maxEntrySize) throw new Error(`Zip entry too large: ${name}`);
+        // Declared sizes can lie, so the inflate itself is capped by what's left as well
+        const remaining = maxTotalSize - inflatedTotal;
+        if (size > remaining) throw new Error(`Zip content too large (over ${maxTotalSize} bytes inflated)`);
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+          throw new Error(`Corrupt zip entry: ${name}`);
+        }
+
+        // The local header repeats the name and may carry a different extra field
+        const dataStart = localOffset + 30 +
+          buffer.readUInt16LE(localOffset + 26) +
+          buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === 0) content = data;
+        else if (method === 8) content = zlib.inflateRawSync(data, { maxOutputLength: Math.min(maxEntrySize, remaining) });
+        else throw new Error(`Unsupported zip compression method ${method}: ${name}`);
+
+        inflatedTotal += content.length;
+        return content;
+      }
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Text of an entry, or null when it doesn't exist
+const readText = (entries, name) => {
+  const entry = entries.get(name);
+  return entry ? entry.read().toString('utf8') : null;
+};
+
+module.exports = {
+  isZip,
+  readZip,
+  readText
+};